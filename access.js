@@ -0,0 +1,200 @@
+/*
+Access decisions: which origins may send which methods to which targets.
+
+The worker calls evaluateAccess for every request and every redirect hop, with the
+BLACKLIST_URLS / WHITELIST_ORIGINS patterns and the ACCESS_RULES compiled by normalizeAccessRules:
+
+    import { evaluateAccess, normalizeAccessRules } from "./access.js";
+    const accessRules = normalizeAccessRules([
+        { name: "app", origins: ["^https://app\\.example\\.com$"], targets: ["api.example.com"] }
+    ]);
+    evaluateAccess("https://api.example.com/users", "https://app.example.com", "GET", {
+        blacklistUrls: [],
+        whitelistOrigins: [],
+        accessRules
+    });
+    // { allowed: true, rule: "app" }
+*/
+
+// Function to check if a given URI or origin is listed in the whitelist or blacklist
+export function matchesPatternList(uri, listing) {
+    if (typeof uri === "string") {
+        return listing.some(pattern => uri.match(pattern) !== null);
+    }
+    // When URI is null (e.g., when Origin header is missing), accept null origins
+    return true;
+}
+
+// Same check as matchesPatternList, returning the first matching pattern (or null)
+export function findMatchingPattern(uri, listing) {
+    if (typeof uri !== "string") {
+        return null;
+    }
+    return listing.find(pattern => uri.match(pattern) !== null) || null;
+}
+
+/**
+ * Validate an ACCESS_RULES array, e.g.
+ *   [{"name":"frontend","origins":["^https://app\\.example\\.com$"],
+ *     "targets":["api.example.com/v1/","*.cdn.example.com",{"regex":"^https://raw\\.githubusercontent\\.com/org/"}],
+ *     "methods":["GET","POST"]}]
+ * String targets are a host glob ("*" matches any characters) with an optional scheme and path
+ * prefix; {"regex": "..."} targets are matched against the whole target URL.
+ */
+export function normalizeAccessRules(rawAccessRules) {
+    if (!Array.isArray(rawAccessRules)) {
+        throw new Error("ACCESS_RULES must be a JSON array of rules");
+    }
+
+    return rawAccessRules.map((rule, index) => {
+        const field = name => `ACCESS_RULES[${index}].${name}`;
+        if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+            throw new Error(`ACCESS_RULES[${index}] must be an object`);
+        }
+        // Names are echoed in the X-Cors-Denied-By header, so they must be printable ASCII
+        if (
+            rule.name !== undefined &&
+            !(typeof rule.name === "string" && /^[\x20-\x7e]+$/.test(rule.name))
+        ) {
+            throw new Error(`${field("name")} must be a printable ASCII string`);
+        }
+        if (
+            !Array.isArray(rule.origins) ||
+            rule.origins.length === 0 ||
+            rule.origins.some(pattern => typeof pattern !== "string")
+        ) {
+            throw new Error(`${field("origins")} must be a non-empty array of regex strings`);
+        }
+        rule.origins.forEach(pattern => {
+            try {
+                new RegExp(pattern);
+            } catch (e) {
+                throw new Error(`${field("origins")} has an invalid regex`);
+            }
+        });
+        if (!Array.isArray(rule.targets) || rule.targets.length === 0) {
+            throw new Error(`${field("targets")} must be a non-empty array`);
+        }
+        const methods = rule.methods === undefined ? "*" : rule.methods;
+        if (
+            methods !== "*" &&
+            !(Array.isArray(methods) && methods.every(method => typeof method === "string"))
+        ) {
+            throw new Error(`${field("methods")} must be "*" or an array of HTTP methods`);
+        }
+
+        return {
+            name: rule.name || `ACCESS_RULES[${index}]`,
+            origins: rule.origins,
+            targets: rule.targets.map((target, targetIndex) =>
+                parseAccessTarget(target, `${field("targets")}[${targetIndex}]`)
+            ),
+            methods: methods === "*" ? "*" : methods.map(method => method.trim().toUpperCase())
+        };
+    });
+}
+
+// "https://*.example.com/v1/" -> { scheme: "https:", host: /^.*\.example\.com$/i, pathPrefix: "/v1/" }
+export function parseAccessTarget(target, field) {
+    if (target && typeof target === "object" && typeof target.regex === "string") {
+        try {
+            return { regex: new RegExp(target.regex) };
+        } catch (e) {
+            throw new Error(`${field}.regex is not a valid regex`);
+        }
+    }
+    if (typeof target !== "string" || !target.trim()) {
+        throw new Error(`${field} must be a host glob string or {"regex": "..."}`);
+    }
+
+    const match = /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/]+)(\/.*)?$/i.exec(target.trim());
+    if (!match) {
+        throw new Error(`${field} must look like "host", "*.host" or "host/path/prefix"`);
+    }
+    const [, scheme, hostGlob, pathPrefix] = match;
+    const hostPattern = hostGlob
+        .toLowerCase()
+        .split("*")
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return {
+        scheme: scheme ? `${scheme.toLowerCase()}:` : null,
+        host: new RegExp(`^${hostPattern}$`, "i"),
+        pathPrefix: pathPrefix || "/"
+    };
+}
+
+export function matchesAccessTarget(target, targetUrl, parsedTargetUrl) {
+    if (target.regex) {
+        return target.regex.test(targetUrl);
+    }
+    // Path prefixes end at a segment boundary: "/v1" covers /v1 and /v1/..., not /v10
+    const { pathname } = parsedTargetUrl;
+    const { pathPrefix } = target;
+    return (
+        (!target.scheme || target.scheme === parsedTargetUrl.protocol) &&
+        target.host.test(parsedTargetUrl.hostname) &&
+        (pathPrefix.endsWith("/")
+            ? pathname.startsWith(pathPrefix)
+            : pathname === pathPrefix || pathname.startsWith(`${pathPrefix}/`))
+    );
+}
+
+/**
+ * Decide whether an origin may send `method` to a target: { allowed, rule, reason }.
+ *
+ * BLACKLIST_URLS applies to every request. ACCESS_RULES whose origin patterns match govern
+ * the request (allowed if one of them lists the target and method); origins without a
+ * matching rule fall back to the legacy default rule: WHITELIST_ORIGINS may reach any target.
+ */
+export function evaluateAccess(targetUrl, originHeader, method, config) {
+    const blacklistMatch = findMatchingPattern(targetUrl, config.blacklistUrls);
+    if (blacklistMatch !== null) {
+        return {
+            allowed: false,
+            rule: "BLACKLIST_URLS",
+            reason: `target matches ${blacklistMatch}`
+        };
+    }
+
+    const originRules =
+        typeof originHeader === "string"
+            ? config.accessRules.filter(
+                  rule => findMatchingPattern(originHeader, rule.origins) !== null
+              )
+            : [];
+    if (originRules.length === 0) {
+        return matchesPatternList(originHeader, config.whitelistOrigins)
+            ? { allowed: true, rule: "WHITELIST_ORIGINS" }
+            : { allowed: false, rule: "WHITELIST_ORIGINS", reason: "origin is not whitelisted" };
+    }
+
+    let parsedTargetUrl;
+    try {
+        parsedTargetUrl = new URL(targetUrl);
+    } catch (e) {
+        return { allowed: false, rule: originRules[0].name, reason: "invalid target URL" };
+    }
+    const targetRules = originRules.filter(rule =>
+        rule.targets.some(target => matchesAccessTarget(target, targetUrl, parsedTargetUrl))
+    );
+    if (targetRules.length === 0) {
+        return {
+            allowed: false,
+            rule: originRules.map(rule => rule.name).join(", "),
+            reason: "target is not allowed for this origin"
+        };
+    }
+
+    const upperMethod = method.toUpperCase();
+    const methodRule = targetRules.find(
+        rule => rule.methods === "*" || rule.methods.includes(upperMethod)
+    );
+    return methodRule
+        ? { allowed: true, rule: methodRule.name }
+        : {
+              allowed: false,
+              rule: targetRules.map(rule => rule.name).join(", "),
+              reason: `method ${upperMethod} is not allowed for this target`
+          };
+}
@@ -0,0 +1,183 @@
+/*
+?rewrite=html support: route the links and assets of proxied pages back through the proxy.
+
+HTML is streamed through HTMLRewriter (a Workers runtime global), CSS is rewritten as text.
+Rewritten URLs look like {proxyOrigin}/?url={absolute upstream URL}; links to documents and
+stylesheets also keep rewrite=html so navigation stays inside the proxy. Nothing the client
+authenticated with (API keys, signatures) is copied into them.
+*/
+
+// Attributes that carry URLs; "document" targets keep rewrite=html so navigation stays proxied
+const HTML_URL_ATTRIBUTES = [
+    { selector: "a[href]", attribute: "href", document: true },
+    { selector: "area[href]", attribute: "href", document: true },
+    { selector: "form[action]", attribute: "action", document: true },
+    { selector: "iframe[src]", attribute: "src", document: true },
+    { selector: "frame[src]", attribute: "src", document: true },
+    { selector: "link[href]", attribute: "href", document: true }, // stylesheets get url() rewriting
+    { selector: "img[src]", attribute: "src" },
+    { selector: "script[src]", attribute: "src" },
+    { selector: "source[src]", attribute: "src" },
+    { selector: "video[src]", attribute: "src" },
+    { selector: "video[poster]", attribute: "poster" },
+    { selector: "audio[src]", attribute: "src" },
+    { selector: "track[src]", attribute: "src" },
+    { selector: "embed[src]", attribute: "src" },
+    { selector: "object[data]", attribute: "data" },
+    { selector: "input[src]", attribute: "src" },
+    { selector: "img[srcset]", attribute: "srcset", srcset: true },
+    { selector: "source[srcset]", attribute: "srcset", srcset: true }
+];
+
+export function buildProxiedUrl(proxyOrigin, targetUrl, extraParams = {}) {
+    const query = [`url=${encodeURIComponent(targetUrl)}`];
+    for (const [key, value] of Object.entries(extraParams)) {
+        query.push(`${key}=${encodeURIComponent(value)}`);
+    }
+    return `${proxyOrigin}/?${query.join("&")}`;
+}
+
+/**
+ * Resolve a URL found in a proxied document against its base URL and route it through the
+ * proxy. Returns null for values that must be left alone (fragments, data:, javascript:, ...).
+ */
+export function rewriteUrlThroughProxy(rawUrl, baseUrl, proxyOrigin, keepRewriting) {
+    const trimmedUrl = (rawUrl || "").trim();
+    if (!trimmedUrl || trimmedUrl.startsWith("#")) {
+        return null;
+    }
+
+    let absoluteUrl;
+    try {
+        absoluteUrl = new URL(trimmedUrl, baseUrl);
+    } catch (e) {
+        return null;
+    }
+
+    if (absoluteUrl.protocol !== "http:" && absoluteUrl.protocol !== "https:") {
+        return null;
+    }
+
+    if (absoluteUrl.origin === proxyOrigin) {
+        return null; // Already routed through this proxy
+    }
+
+    return buildProxiedUrl(proxyOrigin, absoluteUrl.href, keepRewriting ? { rewrite: "html" } : {});
+}
+
+export function rewriteSrcset(srcset, baseUrl, proxyOrigin) {
+    return srcset
+        .split(",")
+        .map(candidate => {
+            const [candidateUrl, ...descriptors] = candidate.trim().split(/\s+/);
+            const rewrittenUrl = rewriteUrlThroughProxy(candidateUrl, baseUrl, proxyOrigin, false);
+            return [rewrittenUrl || candidateUrl, ...descriptors].join(" ");
+        })
+        .join(", ");
+}
+
+/**
+ * Rewrite url(...) references and @import "..." rules in CSS so they load through the proxy.
+ */
+export function rewriteCssUrls(cssText, baseUrl, proxyOrigin) {
+    return cssText
+        .replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (match, quote, cssUrl) => {
+            const rewrittenUrl = rewriteUrlThroughProxy(cssUrl, baseUrl, proxyOrigin, true);
+            return rewrittenUrl ? `url(${quote}${rewrittenUrl}${quote})` : match;
+        })
+        .replace(/@import\s+(['"])([^'"]+)\1/gi, (match, quote, cssUrl) => {
+            const rewrittenUrl = rewriteUrlThroughProxy(cssUrl, baseUrl, proxyOrigin, true);
+            return rewrittenUrl ? `@import ${quote}${rewrittenUrl}${quote}` : match;
+        });
+}
+
+export function escapeHtmlAttribute(value) {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Stream an HTML response through HTMLRewriter so that URL attributes, inline styles and
+ * <style> blocks point back through the proxy. URLs are resolved against the final upstream
+ * URL (or the document's own <base href>). With injectBase, a <base> tag pointing at the
+ * upstream URL is added so URLs created by scripts still resolve against the real site.
+ *
+ * @param {Response} response - Upstream HTML response (body is consumed lazily)
+ * @param {Object} options - { baseUrl, proxyOrigin, injectBase }
+ * @returns {Response}
+ */
+export function rewriteHtmlResponse(response, { baseUrl, proxyOrigin, injectBase }) {
+    const state = { baseUrl, baseInjected: false };
+    let rewriter = new HTMLRewriter();
+
+    // The first <base href> changes how the rest of the document resolves
+    rewriter = rewriter.on("base[href]", {
+        element(element) {
+            try {
+                state.baseUrl = new URL(element.getAttribute("href"), state.baseUrl).href;
+            } catch (e) {
+                // Ignore invalid base URLs
+            }
+            if (injectBase) {
+                element.remove();
+            }
+        }
+    });
+
+    if (injectBase) {
+        rewriter = rewriter.on("head", {
+            element(element) {
+                if (!state.baseInjected) {
+                    element.prepend(`<base href="${escapeHtmlAttribute(baseUrl)}">`, {
+                        html: true
+                    });
+                    state.baseInjected = true;
+                }
+            }
+        });
+    }
+
+    for (const { selector, attribute, document, srcset } of HTML_URL_ATTRIBUTES) {
+        rewriter = rewriter.on(selector, {
+            element(element) {
+                const value = element.getAttribute(attribute);
+                const rewrittenValue = srcset
+                    ? rewriteSrcset(value, state.baseUrl, proxyOrigin)
+                    : rewriteUrlThroughProxy(value, state.baseUrl, proxyOrigin, document);
+                if (rewrittenValue) {
+                    element.setAttribute(attribute, rewrittenValue);
+                }
+            }
+        });
+    }
+
+    rewriter = rewriter.on("[style]", {
+        element(element) {
+            const style = element.getAttribute("style");
+            if (/url\(/i.test(style)) {
+                element.setAttribute("style", rewriteCssUrls(style, state.baseUrl, proxyOrigin));
+            }
+        }
+    });
+
+    // <style> text arrives in chunks - collect it and emit the rewritten CSS once
+    let styleBuffer = "";
+    rewriter = rewriter.on("style", {
+        text(text) {
+            styleBuffer += text.text;
+            if (text.lastInTextNode) {
+                text.replace(rewriteCssUrls(styleBuffer, state.baseUrl, proxyOrigin), {
+                    html: true
+                });
+                styleBuffer = "";
+            } else {
+                text.remove();
+            }
+        }
+    });
+
+    return rewriter.transform(response);
+}
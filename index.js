@@ -18,6 +18,26 @@ The main goal is to facilitate cross-origin requests while enforcing specific se
 
 // Import version from package.json (auto-generated file)
 import { VERSION as PACKAGE_VERSION } from "./version.js";
+// Signed, expiring proxy URLs (SIGNING_SECRET)
+import { normalizeTargetUrlInput, signProxyUrl, verifyProxyUrlSignature } from "./signing.js";
+// SSRF protection for target URLs
+import { checkTargetSafety } from "./target-safety.js";
+// ACCESS_RULES, WHITELIST_ORIGINS and BLACKLIST_URLS decisions
+import {
+    evaluateAccess,
+    findMatchingPattern,
+    matchesAccessTarget,
+    matchesPatternList,
+    normalizeAccessRules,
+    parseAccessTarget
+} from "./access.js";
+// ?rewrite=html link and asset rewriting
+import {
+    buildProxiedUrl,
+    escapeHtmlAttribute,
+    rewriteCssUrls,
+    rewriteHtmlResponse
+} from "./html-rewriting.js";
 
 // Configuration: Default values (used as fallback if env vars are unavailable)
 const DEFAULT_BLACKLIST_URLS = []; // regexp for blacklisted urls
@@ -26,9 +46,179 @@ const DEFAULT_BACKUP_CORS_SERVERS = []; // backup CORS proxy servers
 const DEFAULT_MAX_RETRY_ATTEMPTS = 3; // number of retries after the initial direct attempt
 const DEFAULT_VERSION = PACKAGE_VERSION; // Version from package.json (auto-generated)
 const RETRYABLE_STATUS_CODES = new Set([403, 429, 502, 503]);
+const RETRY_ERROR_CLASSES = ["network", "timeout"];
+const NON_IDEMPOTENT_RETRY_MODES = ["idempotency-key", "always", "never"];
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE", "TRACE"]);
+const DEFAULT_RETRY_POLICY = {
+    retryableStatuses: RETRYABLE_STATUS_CODES,
+    retryableErrors: new Set(RETRY_ERROR_CLASSES),
+    backoff: { initialMs: 500, maxMs: 4000, multiplier: 2, jitter: true }, // retries of the same target
+    maxRetryAfterMs: 10 * 1000, // longer Retry-After values end the retries instead of waiting
+    nonIdempotent: "idempotency-key", // POST/PATCH are only replayed with an Idempotency-Key
+    overrides: []
+};
 const PREFERRED_BACKUP_TTL_SECONDS = 15 * 60; // 15 minutes
 const PREFERRED_BACKUP_KV_KEY_PREFIX = "backup-preference:";
+const BACKUP_STATS_KV_KEY_PREFIX = "backup-stats:";
+const BACKUP_STATS_TTL_SECONDS = 24 * 60 * 60; // 1 day without traffic resets a domain's stats
+const BACKUP_STATS_EMA_ALPHA = 0.3; // weight of the newest sample in the moving averages
+const BACKUP_STATS_DEFAULT_LATENCY_MS = 1000; // assumed latency for backups without samples
+const BACKUP_SELECTION_STRATEGIES = ["round-robin", "weighted", "random", "priority"];
+const DEFAULT_BACKUP_SELECTION_STRATEGY = "round-robin";
+const BACKUP_HEALTH_KV_KEY = "backup-health:summary";
+const BACKUP_HEALTH_TTL_SECONDS = 60 * 60; // drop results if the cron trigger stops running
+const BACKUP_HEALTH_MEMORY_TTL_MS = 60 * 1000; // per-isolate cache of the KV summary
+const DISABLED_BACKUPS_KV_KEY = "backup-disabled:all";
+const DISABLED_BACKUPS_MEMORY_TTL_MS = 30 * 1000; // other isolates pick up admin changes within this
+const DEFAULT_BACKUP_DISABLE_MINUTES = 15;
+const MAX_BACKUP_DISABLE_MINUTES = 7 * 24 * 60;
+const DEFAULT_BACKUP_PROBE_URL = "https://example.com/";
+const DEFAULT_BACKUP_PROBE_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_TARGET_SAFETY_EXCEPTIONS = []; // regexp for target URLs exempt from SSRF checks
+const DEFAULT_MAX_REDIRECTS = 10;
+const REDIRECT_MODES = ["follow", "manual", "error"];
+const REWRITE_MODES = ["html"];
+const DEFAULT_WEBSOCKET_IDLE_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes without messages
+const DEFAULT_WEBSOCKET_MAX_DURATION_MS = 60 * 60 * 1000; // 1 hour per connection
+const DEFAULT_ATTEMPT_TIMEOUT_MS = 30 * 1000; // until upstream response headers, per attempt
+const DEFAULT_TOTAL_TIMEOUT_MS = 90 * 1000; // across all attempts, retries and backoff
+const CLIENT_TIMEOUT_HEADER_NAME = "x-cors-timeout";
+const DEFAULT_RATE_LIMITS = {
+    ip: [
+        { limit: 1000, windowSeconds: 10 * 60 }, // 1,000 requests / 10 minutes
+        { limit: 100000, windowSeconds: 24 * 60 * 60 } // 100,000 requests / day
+    ],
+    origin: [],
+    apiKey: [
+        { limit: 10000, windowSeconds: 10 * 60 }, // 10,000 requests / 10 minutes
+        { limit: 1000000, windowSeconds: 24 * 60 * 60 } // 1,000,000 requests / day
+    ]
+};
+const RATE_LIMIT_KEY_TYPES = ["ip", "origin", "apiKey"];
+const RATE_LIMIT_KV_KEY_PREFIX = "rate-limit:";
+const API_KEY_HEADER_NAME = "x-cors-api-key";
+const API_KEY_QUERY_PARAM = "apiKey";
+const API_KEY_KV_KEY_PREFIX = "api-key:";
+const API_KEY_CACHE_TTL_SECONDS = 60; // edge cache for key lookups (rotation delay)
+const ORIGIN_BYPASS_HEADER_NAME = "x-cors-bypass-token";
+const STRICT_ORIGIN_FETCH_SITES = new Set(["cross-site", "same-site", "same-origin"]);
+const STRICT_ORIGIN_FETCH_MODES = new Set(["cors", "no-cors", "same-origin", "websocket"]);
+const RATE_LIMIT_RESPONSE_HEADERS = [
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+    "Retry-After"
+];
+const ACCESS_DENIED_HEADER_NAME = "X-Cors-Denied-By"; // name of the rule that blocked a request
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+const DEFAULT_CACHE_POLICY = {
+    enabled: false,
+    defaultTtl: 0, // seconds to cache when upstream sends no freshness info (0 = don't cache)
+    maxTtl: 24 * 60 * 60, // upper bound for upstream and client-requested TTLs
+    staleWhileRevalidate: 60, // seconds a stale entry may be served while refreshing
+    varyHeaders: ["accept"], // request headers that are part of the cache key
+    allowClientOverride: false // honor ?cache=<seconds> / x-cors-cache-ttl (any client may set it)
+};
+const CACHEABLE_STATUS_CODES = new Set([200, 203, 204, 301, 404, 410]);
+const CACHE_TTL_HEADER_NAME = "x-cors-cache-ttl";
+// Control headers a signature can't cover; refused when SIGNING_SECRET is set (?cache= is signed)
+const SIGNED_URL_REFUSED_HEADERS = ["x-cors-headers", CACHE_TTL_HEADER_NAME];
+const CACHE_METADATA_HEADER_PREFIX = "x-cors-cache-meta-";
+const CACHE_IGNORED_VARY_HEADERS = new Set(["accept-encoding"]); // the runtime negotiates compression itself
+const cacheRevalidationsInFlight = new Set(); // per-isolate dedupe of background refreshes
+const DEFAULT_CIRCUIT_BREAKER_POLICY = {
+    enabled: true,
+    failureThreshold: 3, // consecutive failures before a backup is skipped
+    cooldownSeconds: 60, // how long an open circuit skips the backup
+    halfOpenMaxProbes: 1, // requests let through per cooldown window while half-open
+    perDomain: false // track backups per target domain instead of globally
+};
+const DEFAULT_CORS_RULE = {
+    origins: [".*"],
+    allowedMethods: "*", // reflect Access-Control-Request-Method
+    allowedHeaders: "*", // reflect Access-Control-Request-Headers
+    allowCredentials: true,
+    maxAge: 24 * 60 * 60, // preflight cache lifetime in seconds
+    exposeHeaders: "*", // every upstream response header
+    allowPrivateNetwork: false
+};
+// Origins no CORS_POLICY rule matches (once CORS_POLICY is set) are granted no CORS headers
+const DENIED_CORS_RULE = {
+    origins: [],
+    allowedMethods: [],
+    allowedHeaders: [],
+    allowCredentials: false,
+    maxAge: 0,
+    exposeHeaders: [],
+    allowPrivateNetwork: false
+};
+const DEFAULT_CORS_METHODS = "GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS";
+const DEFAULT_CORS_HEADERS = "Content-Type, Authorization, X-Requested-With, Accept, Origin";
+const backupCircuitStates = new Map(); // per-isolate circuit breaker state
+let backupHealthSummaryCache = null;
+let disabledBackupsCache = null;
 let backupServerRotationCursor = 0;
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LOG_LEVEL = "info";
+const REQUEST_ID_HEADER_NAME = "X-Request-Id";
+const REQUEST_ID_PATTERN = /^[\w.:@/+=-]{1,128}$/; // incoming IDs outside this are replaced
+let activeLogLevel = DEFAULT_LOG_LEVEL; // set from LOG_LEVEL by applyConfig
+const DEFAULT_CONFIG_KV_KEY = "config";
+const CONFIG_KV_REFRESH_MS = 30 * 1000; // how long an isolate uses a CONFIG_KV document before re-reading
+let configKvCache = null;
+
+/**
+ * Create a structured logger. Every call writes one JSON line
+ * {timestamp, level, event, ...context, ...fields} to the console method matching the level,
+ * so Workers Logs and `wrangler tail --format json` can filter on any field.
+ * Events below LOG_LEVEL are dropped; undefined fields are omitted.
+ *
+ * @param {Object} context - Fields added to every event (e.g. requestId, host, origin)
+ * @returns {{debug, info, warn, error, child}} child(fields) returns a logger with more context
+ */
+function createLogger(context = {}) {
+    const write = (level, event, fields) => {
+        if (LOG_LEVELS[level] < LOG_LEVELS[activeLogLevel]) {
+            return;
+        }
+
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level,
+            event,
+            ...context,
+            ...fields
+        });
+        if (level === "error") {
+            console.error(line);
+        } else if (level === "warn") {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+    };
+
+    return {
+        debug: (event, fields) => write("debug", event, fields),
+        info: (event, fields) => write("info", event, fields),
+        warn: (event, fields) => write("warn", event, fields),
+        error: (event, fields) => write("error", event, fields),
+        child: fields => createLogger({ ...context, ...fields })
+    };
+}
+
+// Logger for events outside a request (config parsing, scheduled health checks)
+const rootLogger = createLogger();
+
+// Reuse the caller's X-Request-Id when it looks sane, else the Cloudflare ray ID
+function getRequestId(request) {
+    const incomingId = (request.headers.get(REQUEST_ID_HEADER_NAME) || "").trim();
+    if (REQUEST_ID_PATTERN.test(incomingId)) {
+        return incomingId;
+    }
+    return request.headers.get("cf-ray") || crypto.randomUUID();
+}
 
 /**
  * Get version metadata from Cloudflare Version Metadata binding or environment variable or default
@@ -155,7 +345,7 @@ function normalizeBackupCorsHeaders(rawHeaders, indexForError) {
     return normalizedHeaders;
 }
 
-function normalizeBackupCorsServerEntries(parsedBackupServers) {
+function normalizeBackupCorsServerEntries(parsedBackupServers, logger = rootLogger) {
     if (!Array.isArray(parsedBackupServers)) {
         return [];
     }
@@ -166,6 +356,8 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
     parsedBackupServers.forEach((serverEntry, index) => {
         let rawTemplate = "";
         let rawHeaders = null;
+        let rawWeight;
+        let rawPriority;
 
         if (typeof serverEntry === "string") {
             rawTemplate = serverEntry;
@@ -177,6 +369,8 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
                     ? serverEntry.server
                     : "";
             rawHeaders = serverEntry.headers;
+            rawWeight = serverEntry.weight;
+            rawPriority = serverEntry.priority;
         } else {
             return;
         }
@@ -193,11 +387,12 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
         try {
             new URL(validationUrl);
         } catch (e) {
-            console.warn(
-                `[${new Date().toISOString()}] ⚠️  Skipping invalid backup server URL at index ${index}: ${trimmedTemplate} (${
-                    e.message
-                })`
-            );
+            logger.warn("config.invalid", {
+                key: `BACKUP_CORS_SERVERS[${index}]`,
+                backup: redactBackupTemplate(trimmedTemplate),
+                error: e.message,
+                fallback: "skipped"
+            });
             return;
         }
 
@@ -207,9 +402,18 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
         }
         seenTemplates.add(templateWithoutTrailingSlash);
 
+        if (rawWeight !== undefined && !(typeof rawWeight === "number" && rawWeight > 0)) {
+            throw new Error(`BACKUP_CORS_SERVERS[${index}].weight must be a positive number`);
+        }
+        if (rawPriority !== undefined && !Number.isInteger(rawPriority)) {
+            throw new Error(`BACKUP_CORS_SERVERS[${index}].priority must be an integer`);
+        }
+
         normalizedServers.push({
             template: templateWithoutTrailingSlash,
-            headers: normalizeBackupCorsHeaders(rawHeaders, index)
+            headers: normalizeBackupCorsHeaders(rawHeaders, index),
+            weight: rawWeight === undefined ? 1 : rawWeight,
+            priority: rawPriority === undefined ? 0 : rawPriority
         });
     });
 
@@ -222,13 +426,39 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
  * Configuration values should be JSON arrays:
  * - BLACKLIST_URLS: JSON array of regex patterns for blacklisted URLs
  * - WHITELIST_ORIGINS: JSON array of regex patterns for whitelisted origins
+ * - ACCESS_RULES: JSON array of origin -> allowed targets/methods rules (origins without a
+ *   matching rule fall back to WHITELIST_ORIGINS)
  * - BACKUP_CORS_SERVERS: JSON array of backup CORS proxy templates or config objects
  * - MAX_RETRY_ATTEMPTS: non-negative integer retry count after first attempt
+ * - TARGET_SAFETY_EXCEPTIONS: JSON array of regex patterns for target URLs that skip the
+ *   private-address / port checks (e.g. an internal API you intentionally expose)
+ * - RATE_LIMITS: JSON object of {limit, windowSeconds} windows per key type (ip, origin, apiKey)
+ * - API_KEY_REQUIRED: "true" to reject proxy requests without a valid API key (keys live in API_KEYS KV)
+ * - DEBUG_TRACE: "true" to allow ?debug=1 for every client (otherwise only API keys with allowDebug)
+ * - REQUIRE_ORIGIN: "true" to refuse proxy requests without a usable origin (see resolveStrictOrigin)
+ * - ORIGIN_BYPASS_TOKENS: JSON array of tokens that let non-browser clients skip REQUIRE_ORIGIN
+ * - UPSTREAM_CREDENTIALS: JSON array of target patterns -> headers / query params the worker
+ *   injects into direct attempts (never sent to backups)
+ * - CACHE_POLICY: JSON object configuring edge caching of proxied GET responses
+ * - MAX_REDIRECTS: non-negative integer redirect hop limit when following redirects
+ * - WEBSOCKET_IDLE_TIMEOUT_MS / WEBSOCKET_MAX_DURATION_MS: WebSocket bridge timeouts (0 = none)
+ * - CIRCUIT_BREAKER: JSON object tuning the per-backup circuit breaker
+ * - CORS_POLICY: JSON array of per-origin CORS rules (methods, headers, credentials, max-age,
+ *   exposed headers, Private Network Access)
+ * - BACKUP_SELECTION_STRATEGY: round-robin (default), weighted, random or priority
+ * - HEDGE_DELAY_MS: race the first backup after this many ms without a direct response (0 = off)
+ * - RETRY_POLICY: JSON object with retryable statuses / error classes, backoff, Retry-After cap,
+ *   non-idempotent handling and per-target overrides
+ * - ATTEMPT_TIMEOUT_MS / TOTAL_TIMEOUT_MS: upstream timeouts per attempt and per request (0 = none);
+ *   TOTAL_TIMEOUT_MS also caps the client's x-cors-timeout header
+ * - BACKUP_PROBE_URL / BACKUP_PROBE_TIMEOUT_MS: target and timeout for scheduled backup health
+ *   checks (read by the scheduled handler, not stored in this config object)
  *
  * Priority order (highest to lowest):
- * 1. Direct secrets (env.BLACKLIST_URLS) - set via wrangler secret put
- * 2. Environment variables (env.BLACKLIST_URLS) - from wrangler.toml [vars]
- * 3. Default values
+ * 1. CONFIG_KV document (layered over env by loadConfig, same keys)
+ * 2. Direct secrets (env.BLACKLIST_URLS) - set via wrangler secret put
+ * 3. Environment variables (env.BLACKLIST_URLS) - from wrangler.toml [vars]
+ * 4. Default values
  *
  * Setup using Cloudflare Secrets (recommended for security):
  *   wrangler secret put BLACKLIST_URLS
@@ -246,13 +476,55 @@ function normalizeBackupCorsServerEntries(parsedBackupServers) {
  * Secrets take precedence over vars if both are set.
  */
 function getConfig(env) {
+    // Parse problems are collected as config.warnings (see /__status) and logged by applyConfig
+    const warnings = [];
+    const configLogger = {
+        warn: (event, fields) => {
+            warnings.push({ event, ...fields });
+        }
+    };
+
+    const rawLogLevel = String(env?.LOG_LEVEL || DEFAULT_LOG_LEVEL)
+        .trim()
+        .toLowerCase();
+    const logLevel = Object.keys(LOG_LEVELS).includes(rawLogLevel)
+        ? rawLogLevel
+        : DEFAULT_LOG_LEVEL;
+    if (logLevel !== rawLogLevel) {
+        configLogger.warn("config.invalid", {
+            key: "LOG_LEVEL",
+            error: `must be one of ${Object.keys(LOG_LEVELS).join(", ")}`,
+            fallback: DEFAULT_LOG_LEVEL
+        });
+    }
+
     let blacklistUrls = DEFAULT_BLACKLIST_URLS;
     let whitelistOrigins = DEFAULT_WHITELIST_ORIGINS;
+    let accessRules = [];
     const defaultNormalizedBackupCorsServers = normalizeBackupCorsServerEntries(
-        DEFAULT_BACKUP_CORS_SERVERS
+        DEFAULT_BACKUP_CORS_SERVERS,
+        configLogger
     );
     let backupCorsServers = defaultNormalizedBackupCorsServers;
     let maxRetryAttempts = DEFAULT_MAX_RETRY_ATTEMPTS;
+    let targetSafetyExceptions = DEFAULT_TARGET_SAFETY_EXCEPTIONS;
+    let rateLimits = DEFAULT_RATE_LIMITS;
+    let apiKeyRequired = false;
+    let debugTraceEnabled = false;
+    let requireOrigin = false;
+    let originBypassTokens = [];
+    let upstreamCredentials = [];
+    let cachePolicy = DEFAULT_CACHE_POLICY;
+    let maxRedirects = DEFAULT_MAX_REDIRECTS;
+    let webSocketIdleTimeoutMs = DEFAULT_WEBSOCKET_IDLE_TIMEOUT_MS;
+    let webSocketMaxDurationMs = DEFAULT_WEBSOCKET_MAX_DURATION_MS;
+    let circuitBreakerPolicy = DEFAULT_CIRCUIT_BREAKER_POLICY;
+    let corsPolicy = [];
+    let backupSelectionStrategy = DEFAULT_BACKUP_SELECTION_STRATEGY;
+    let hedgeDelayMs = 0;
+    let retryPolicy = DEFAULT_RETRY_POLICY;
+    let attemptTimeoutMs = DEFAULT_ATTEMPT_TIMEOUT_MS;
+    let totalTimeoutMs = DEFAULT_TOTAL_TIMEOUT_MS;
 
     // Try to read from environment variables
     if (env) {
@@ -261,17 +533,19 @@ function getConfig(env) {
             try {
                 blacklistUrls = JSON.parse(env.BLACKLIST_URLS);
                 if (!Array.isArray(blacklistUrls)) {
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  BLACKLIST_URLS must be a JSON array, using default`
-                    );
+                    configLogger.warn("config.invalid", {
+                        key: "BLACKLIST_URLS",
+                        error: "must be a JSON array",
+                        fallback: "default"
+                    });
                     blacklistUrls = DEFAULT_BLACKLIST_URLS;
                 }
             } catch (e) {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Failed to parse BLACKLIST_URLS from env: ${
-                        e.message
-                    }, using default`
-                );
+                configLogger.warn("config.invalid", {
+                    key: "BLACKLIST_URLS",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
                 blacklistUrls = DEFAULT_BLACKLIST_URLS;
             }
         }
@@ -281,21 +555,37 @@ function getConfig(env) {
             try {
                 whitelistOrigins = JSON.parse(env.WHITELIST_ORIGINS);
                 if (!Array.isArray(whitelistOrigins)) {
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  WHITELIST_ORIGINS must be a JSON array, using default`
-                    );
+                    configLogger.warn("config.invalid", {
+                        key: "WHITELIST_ORIGINS",
+                        error: "must be a JSON array",
+                        fallback: "default"
+                    });
                     whitelistOrigins = DEFAULT_WHITELIST_ORIGINS;
                 }
             } catch (e) {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Failed to parse WHITELIST_ORIGINS from env: ${
-                        e.message
-                    }, using default`
-                );
+                configLogger.warn("config.invalid", {
+                    key: "WHITELIST_ORIGINS",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
                 whitelistOrigins = DEFAULT_WHITELIST_ORIGINS;
             }
         }
 
+        // Parse origin -> target access rules from env var (JSON array)
+        if (env.ACCESS_RULES) {
+            try {
+                accessRules = normalizeAccessRules(JSON.parse(env.ACCESS_RULES));
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "ACCESS_RULES",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                accessRules = [];
+            }
+        }
+
         // Parse backup CORS servers from env var (JSON array)
         // Supports both BACKUP_CORS_SERVERS (preferred) and legacy DEFAULT_BACKUP_CORS_SERVERS.
         const rawBackupServers = env.BACKUP_CORS_SERVERS ?? env.DEFAULT_BACKUP_CORS_SERVERS;
@@ -306,27 +596,35 @@ function getConfig(env) {
         ) {
             try {
                 if (!env.BACKUP_CORS_SERVERS && env.DEFAULT_BACKUP_CORS_SERVERS) {
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  Using legacy env key DEFAULT_BACKUP_CORS_SERVERS; prefer BACKUP_CORS_SERVERS`
-                    );
+                    configLogger.warn("config.deprecated", {
+                        key: "DEFAULT_BACKUP_CORS_SERVERS",
+                        replacement: "BACKUP_CORS_SERVERS"
+                    });
                 }
 
                 const parsedBackupServers = parseBackupCorsServers(rawBackupServers);
 
                 if (!Array.isArray(parsedBackupServers)) {
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  BACKUP_CORS_SERVERS must be a JSON array, using default`
-                    );
+                    configLogger.warn("config.invalid", {
+                        key: "BACKUP_CORS_SERVERS",
+                        error: "must be a JSON array",
+                        fallback: "default"
+                    });
                     backupCorsServers = defaultNormalizedBackupCorsServers;
                 } else {
-                    backupCorsServers = normalizeBackupCorsServerEntries(parsedBackupServers);
+                    backupCorsServers = normalizeBackupCorsServerEntries(
+                        parsedBackupServers,
+                        configLogger
+                    );
                 }
             } catch (e) {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Failed to parse BACKUP_CORS_SERVERS from env: ${
-                        e.message
-                    }. Supported formats: JSON array (string URLs or {url,headers} objects), quoted list, comma/newline separated URLs. Using default`
-                );
+                configLogger.warn("config.invalid", {
+                    key: "BACKUP_CORS_SERVERS",
+                    error: `${describeConfigError(
+                        e
+                    )}. Supported formats: JSON array (string URLs or {url,headers} objects), quoted list, comma/newline separated URLs`,
+                    fallback: "default"
+                });
                 backupCorsServers = defaultNormalizedBackupCorsServers;
             }
         }
@@ -337,19 +635,476 @@ function getConfig(env) {
             if (Number.isInteger(parsedMaxRetryAttempts) && parsedMaxRetryAttempts >= 0) {
                 maxRetryAttempts = parsedMaxRetryAttempts;
             } else {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  MAX_RETRY_ATTEMPTS must be a non-negative integer, using default`
-                );
+                configLogger.warn("config.invalid", {
+                    key: "MAX_RETRY_ATTEMPTS",
+                    error: "must be a non-negative integer",
+                    fallback: "default"
+                });
                 maxRetryAttempts = DEFAULT_MAX_RETRY_ATTEMPTS;
             }
         }
+
+        // Parse target safety exceptions from env var (JSON array)
+        if (env.TARGET_SAFETY_EXCEPTIONS) {
+            try {
+                targetSafetyExceptions = JSON.parse(env.TARGET_SAFETY_EXCEPTIONS);
+                if (!Array.isArray(targetSafetyExceptions)) {
+                    configLogger.warn("config.invalid", {
+                        key: "TARGET_SAFETY_EXCEPTIONS",
+                        error: "must be a JSON array",
+                        fallback: "default"
+                    });
+                    targetSafetyExceptions = DEFAULT_TARGET_SAFETY_EXCEPTIONS;
+                }
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "TARGET_SAFETY_EXCEPTIONS",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                targetSafetyExceptions = DEFAULT_TARGET_SAFETY_EXCEPTIONS;
+            }
+        }
+
+        // Parse rate limit windows from env var (JSON object keyed by ip/origin/apiKey)
+        if (env.RATE_LIMITS) {
+            try {
+                rateLimits = normalizeRateLimits(JSON.parse(env.RATE_LIMITS));
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "RATE_LIMITS",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                rateLimits = DEFAULT_RATE_LIMITS;
+            }
+        }
+
+        // Parse API key requirement flag from env var ("true"/"false")
+        if (env.API_KEY_REQUIRED !== undefined) {
+            apiKeyRequired = ["true", "1"].includes(
+                String(env.API_KEY_REQUIRED)
+                    .trim()
+                    .toLowerCase()
+            );
+        }
+
+        // Parse debug trace switch from env var
+        if (env.DEBUG_TRACE !== undefined) {
+            debugTraceEnabled = ["true", "1"].includes(
+                String(env.DEBUG_TRACE)
+                    .trim()
+                    .toLowerCase()
+            );
+        }
+
+        // Parse strict origin switch and its bypass tokens from env vars
+        if (env.REQUIRE_ORIGIN !== undefined) {
+            requireOrigin = ["true", "1"].includes(
+                String(env.REQUIRE_ORIGIN)
+                    .trim()
+                    .toLowerCase()
+            );
+        }
+        if (env.ORIGIN_BYPASS_TOKENS) {
+            try {
+                originBypassTokens = JSON.parse(env.ORIGIN_BYPASS_TOKENS);
+                if (
+                    !Array.isArray(originBypassTokens) ||
+                    originBypassTokens.some(token => typeof token !== "string" || !token.trim())
+                ) {
+                    throw new Error("must be a JSON array of non-empty strings");
+                }
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "ORIGIN_BYPASS_TOKENS",
+                    error: describeConfigError(e),
+                    fallback: "no bypass tokens"
+                });
+                originBypassTokens = [];
+            }
+        }
+
+        // Parse server-side upstream credentials from env var (JSON array, a secret)
+        if (env.UPSTREAM_CREDENTIALS) {
+            try {
+                upstreamCredentials = normalizeUpstreamCredentials(
+                    JSON.parse(env.UPSTREAM_CREDENTIALS)
+                );
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "UPSTREAM_CREDENTIALS",
+                    error: describeConfigError(e),
+                    fallback: "no credentials injected"
+                });
+                upstreamCredentials = [];
+            }
+        }
+
+        // Parse edge cache policy from env var (JSON object)
+        if (env.CACHE_POLICY) {
+            try {
+                cachePolicy = normalizeCachePolicy(JSON.parse(env.CACHE_POLICY));
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "CACHE_POLICY",
+                    error: describeConfigError(e),
+                    fallback: "caching disabled"
+                });
+                cachePolicy = DEFAULT_CACHE_POLICY;
+            }
+        }
+
+        // Parse redirect hop limit and WebSocket timeouts from env vars (non-negative integers)
+        maxRedirects = parseNonNegativeIntegerEnv(
+            env,
+            "MAX_REDIRECTS",
+            DEFAULT_MAX_REDIRECTS,
+            configLogger
+        );
+        webSocketIdleTimeoutMs = parseNonNegativeIntegerEnv(
+            env,
+            "WEBSOCKET_IDLE_TIMEOUT_MS",
+            DEFAULT_WEBSOCKET_IDLE_TIMEOUT_MS,
+            configLogger
+        );
+        webSocketMaxDurationMs = parseNonNegativeIntegerEnv(
+            env,
+            "WEBSOCKET_MAX_DURATION_MS",
+            DEFAULT_WEBSOCKET_MAX_DURATION_MS,
+            configLogger
+        );
+
+        // Parse backup circuit breaker policy from env var (JSON object)
+        if (env.CIRCUIT_BREAKER) {
+            try {
+                circuitBreakerPolicy = normalizeCircuitBreakerPolicy(
+                    JSON.parse(env.CIRCUIT_BREAKER)
+                );
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "CIRCUIT_BREAKER",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                circuitBreakerPolicy = DEFAULT_CIRCUIT_BREAKER_POLICY;
+            }
+        }
+
+        // Parse per-origin CORS rules from env var (JSON array)
+        if (env.CORS_POLICY) {
+            try {
+                corsPolicy = normalizeCorsPolicy(JSON.parse(env.CORS_POLICY));
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "CORS_POLICY",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                corsPolicy = [];
+            }
+        }
+
+        // Parse retry policy from env var (JSON object)
+        if (env.RETRY_POLICY) {
+            try {
+                retryPolicy = normalizeRetryPolicy(JSON.parse(env.RETRY_POLICY));
+            } catch (e) {
+                configLogger.warn("config.invalid", {
+                    key: "RETRY_POLICY",
+                    error: describeConfigError(e),
+                    fallback: "default"
+                });
+                retryPolicy = DEFAULT_RETRY_POLICY;
+            }
+        }
+
+        // Parse hedged request delay from env var (non-negative integer, 0 = disabled)
+        hedgeDelayMs = parseNonNegativeIntegerEnv(env, "HEDGE_DELAY_MS", 0, configLogger);
+
+        // Parse upstream timeouts from env vars (non-negative integers, 0 = no timeout)
+        attemptTimeoutMs = parseNonNegativeIntegerEnv(
+            env,
+            "ATTEMPT_TIMEOUT_MS",
+            DEFAULT_ATTEMPT_TIMEOUT_MS,
+            configLogger
+        );
+        totalTimeoutMs = parseNonNegativeIntegerEnv(
+            env,
+            "TOTAL_TIMEOUT_MS",
+            DEFAULT_TOTAL_TIMEOUT_MS,
+            configLogger
+        );
+
+        // Parse backup selection strategy from env var
+        if (env.BACKUP_SELECTION_STRATEGY) {
+            const strategy = String(env.BACKUP_SELECTION_STRATEGY)
+                .trim()
+                .toLowerCase();
+            if (BACKUP_SELECTION_STRATEGIES.includes(strategy)) {
+                backupSelectionStrategy = strategy;
+            } else {
+                configLogger.warn("config.invalid", {
+                    key: "BACKUP_SELECTION_STRATEGY",
+                    error: `must be one of ${BACKUP_SELECTION_STRATEGIES.join(", ")}`,
+                    fallback: "default"
+                });
+            }
+        }
+    }
+
+    return {
+        blacklistUrls,
+        whitelistOrigins,
+        accessRules,
+        backupCorsServers,
+        maxRetryAttempts,
+        targetSafetyExceptions,
+        rateLimits,
+        apiKeyRequired,
+        debugTraceEnabled,
+        requireOrigin,
+        originBypassTokens,
+        upstreamCredentials,
+        cachePolicy,
+        maxRedirects,
+        webSocketIdleTimeoutMs,
+        webSocketMaxDurationMs,
+        circuitBreakerPolicy,
+        corsPolicy,
+        backupSelectionStrategy,
+        hedgeDelayMs,
+        retryPolicy,
+        attemptTimeoutMs,
+        totalTimeoutMs,
+        logLevel,
+        warnings,
+        source: { type: "env" }
+    };
+}
+
+function parseNonNegativeIntegerEnv(env, key, defaultValue, logger = rootLogger) {
+    if (env[key] === undefined || env[key] === null || env[key] === "") {
+        return defaultValue;
+    }
+
+    const parsedValue = Number.parseInt(env[key], 10);
+    if (Number.isInteger(parsedValue) && parsedValue >= 0) {
+        return parsedValue;
+    }
+
+    logger.warn("config.invalid", {
+        key,
+        error: "must be a non-negative integer",
+        fallback: "default"
+    });
+    return defaultValue;
+}
+
+// JSON.parse errors quote the input, which may hold secrets (e.g. backup API keys)
+function describeConfigError(error) {
+    return error instanceof SyntaxError ? "invalid JSON" : error.message;
+}
+
+// Settings a CONFIG_KV document may hold, keyed like the env vars they override. Arrays of
+// strings list the accepted values; "pattern[]" entries must compile as regular expressions.
+const CONFIG_DOCUMENT_SCHEMA = {
+    BLACKLIST_URLS: "pattern[]",
+    WHITELIST_ORIGINS: "pattern[]",
+    ACCESS_RULES: "array",
+    BACKUP_CORS_SERVERS: "array",
+    MAX_RETRY_ATTEMPTS: "integer",
+    TARGET_SAFETY_EXCEPTIONS: "pattern[]",
+    RATE_LIMITS: "object",
+    API_KEY_REQUIRED: "boolean",
+    DEBUG_TRACE: "boolean",
+    REQUIRE_ORIGIN: "boolean",
+    LOG_LEVEL: Object.keys(LOG_LEVELS),
+    CACHE_POLICY: "object",
+    MAX_REDIRECTS: "integer",
+    WEBSOCKET_IDLE_TIMEOUT_MS: "integer",
+    WEBSOCKET_MAX_DURATION_MS: "integer",
+    CIRCUIT_BREAKER: "object",
+    CORS_POLICY: "array",
+    BACKUP_SELECTION_STRATEGY: BACKUP_SELECTION_STRATEGIES,
+    HEDGE_DELAY_MS: "integer",
+    RETRY_POLICY: "object",
+    ATTEMPT_TIMEOUT_MS: "integer",
+    TOTAL_TIMEOUT_MS: "integer"
+};
+
+/**
+ * Check a parsed CONFIG_KV document against CONFIG_DOCUMENT_SCHEMA.
+ * Returns a list of "KEY: problem" strings (empty when the document is valid).
+ */
+function validateConfigDocument(document) {
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+        return ["document must be a JSON object"];
+    }
+
+    const errors = [];
+    Object.entries(document).forEach(([key, value]) => {
+        const type = CONFIG_DOCUMENT_SCHEMA[key];
+        if (!type) {
+            errors.push(`${key}: unknown setting`);
+        } else if (Array.isArray(type)) {
+            if (!type.includes(value)) {
+                errors.push(`${key}: must be one of ${type.join(", ")}`);
+            }
+        } else if (type === "pattern[]") {
+            if (!Array.isArray(value) || value.some(pattern => typeof pattern !== "string")) {
+                errors.push(`${key}: must be an array of regex strings`);
+                return;
+            }
+            value.forEach((pattern, index) => {
+                try {
+                    new RegExp(pattern);
+                } catch (e) {
+                    errors.push(`${key}[${index}]: invalid regex`);
+                }
+            });
+        } else if (type === "array" && !Array.isArray(value)) {
+            errors.push(`${key}: must be an array`);
+        } else if (
+            type === "object" &&
+            (!value || typeof value !== "object" || Array.isArray(value))
+        ) {
+            errors.push(`${key}: must be an object`);
+        } else if (type === "integer" && !(Number.isInteger(value) && value >= 0)) {
+            errors.push(`${key}: must be a non-negative integer`);
+        } else if (type === "boolean" && typeof value !== "boolean") {
+            errors.push(`${key}: must be true or false`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Read, validate and compile the CONFIG_KV document stored under `key`.
+ * Returns the next per-isolate cache entry; on any problem the previous entry's settings
+ * (the last good document) are carried over and the problem is recorded in `error`.
+ */
+async function refreshConfigDocument(env, key, previous) {
+    const expiresAt = Date.now() + CONFIG_KV_REFRESH_MS;
+    const lastGood = {
+        key,
+        settings: previous?.settings || null,
+        loadedAt: previous?.loadedAt || null,
+        documentText: previous?.documentText ?? null,
+        error: previous?.error || null,
+        expiresAt
+    };
+
+    let documentText;
+    try {
+        documentText = await env.CONFIG_KV.get(key);
+    } catch (error) {
+        rootLogger.warn("config_kv.read_failed", { key, error: error.message });
+        return { ...lastGood, error: `read failed: ${error.message}` };
+    }
+
+    // Unchanged since the last refresh: keep the outcome (and don't log it again)
+    if (previous && documentText === previous.documentText) {
+        return lastGood;
+    }
+    if (documentText === null) {
+        rootLogger.info("config_kv.missing", { key, fallback: "env vars" });
+        return { key, settings: null, loadedAt: null, documentText, error: null, expiresAt };
+    }
+
+    let errors;
+    let settings = null;
+    try {
+        const document = JSON.parse(documentText);
+        errors = validateConfigDocument(document);
+        if (errors.length === 0) {
+            settings = Object.fromEntries(
+                Object.entries(document).map(([name, value]) => [
+                    name,
+                    typeof value === "string" ? value : JSON.stringify(value)
+                ])
+            );
+            // The env var parsers do the semantic checks (URLs, windows, policies...)
+            errors = getConfig({ ...env, ...settings })
+                .warnings.filter(warning => String(warning.key).split("[")[0] in settings)
+                .map(warning => `${warning.key}: ${warning.error}`);
+        }
+    } catch (e) {
+        errors = [describeConfigError(e)];
+    }
+
+    if (errors.length > 0) {
+        rootLogger.warn("config_kv.invalid", {
+            key,
+            errors,
+            fallback: lastGood.settings ? "last good document" : "env vars"
+        });
+        return { ...lastGood, documentText, error: errors.join("; ") };
+    }
+
+    rootLogger.info("config_kv.loaded", { key, settings: Object.keys(settings) });
+    return {
+        key,
+        settings,
+        loadedAt: new Date().toISOString(),
+        documentText,
+        error: null,
+        expiresAt
+    };
+}
+
+/**
+ * Resolve the configuration for this request.
+ *
+ * Without a CONFIG_KV binding this is getConfig(env). With one, the JSON document under
+ * CONFIG_KV_KEY (default "config") is layered over the env vars; the compiled result is cached
+ * per isolate for CONFIG_KV_REFRESH_MS, and an invalid or unreadable document keeps the last
+ * good one in use (env vars alone if there never was one).
+ */
+async function loadConfig(env) {
+    if (!env?.CONFIG_KV || typeof env.CONFIG_KV.get !== "function") {
+        return applyConfig(getConfig(env));
+    }
+
+    const key = String(env.CONFIG_KV_KEY || "").trim() || DEFAULT_CONFIG_KV_KEY;
+    if (!configKvCache || configKvCache.key !== key || Date.now() >= configKvCache.expiresAt) {
+        const previous = configKvCache?.key === key ? configKvCache : null;
+        configKvCache = await refreshConfigDocument(env, key, previous);
+    }
+
+    if (configKvCache.env !== env || !configKvCache.config) {
+        const config = applyConfig(getConfig({ ...env, ...configKvCache.settings }));
+        config.source = {
+            type: configKvCache.settings ? "kv" : "env",
+            key,
+            loadedAt: configKvCache.loadedAt,
+            error: configKvCache.error
+        };
+        if (configKvCache.error) {
+            config.warnings.push({
+                event: "config_kv.invalid",
+                key: `CONFIG_KV:${key}`,
+                error: configKvCache.error,
+                fallback: configKvCache.settings ? "last good document" : "env vars"
+            });
+        }
+        configKvCache.env = env;
+        configKvCache.config = config;
     }
+    return configKvCache.config;
+}
 
-    return { blacklistUrls, whitelistOrigins, backupCorsServers, maxRetryAttempts };
+// Switch to the LOG_LEVEL of a config that is about to be used, then log its parse problems
+function applyConfig(config) {
+    activeLogLevel = config.logLevel;
+    for (const { event, ...fields } of config.warnings) {
+        rootLogger.warn(event, fields);
+    }
+    return config;
 }
 
-function isRetryableStatusCode(statusCode) {
-    return RETRYABLE_STATUS_CODES.has(statusCode);
+function isRetryableStatusCode(statusCode, retryPolicy = DEFAULT_RETRY_POLICY) {
+    return retryPolicy.retryableStatuses.has(statusCode);
 }
 
 function buildBackupTargetUrl(backupCorsServer, destinationUrl) {
@@ -400,184 +1155,2607 @@ function getNextBackupRotationStart(totalServers) {
     return startIndex;
 }
 
-function getSensitiveHeadersForBackup(request, customHeaders) {
-    const sensitiveHeaderNames = new Set([
-        "authorization",
-        "proxy-authorization",
-        "x-api-key",
-        "api-key",
-        "x-auth-token",
-        "x-access-token"
-    ]);
+// Weighted random order without replacement: each server draws random^(1/weight), highest first
+function shuffleByWeight(servers, getWeight) {
+    return servers
+        .map(server => ({
+            server,
+            sortKey: Math.pow(Math.random(), 1 / Math.max(getWeight(server), Number.EPSILON))
+        }))
+        .sort((a, b) => b.sortKey - a.sortKey)
+        .map(entry => entry.server);
+}
 
-    const detectedHeaders = [];
+function getBackupScore(server, backupStats) {
+    const serverStats = backupStats?.[server.template];
+    const successRate = serverStats ? serverStats.successRate : 1;
+    const latencyMs = serverStats ? serverStats.latencyMs : BACKUP_STATS_DEFAULT_LATENCY_MS;
+    return (server.weight * successRate * successRate) / Math.max(latencyMs, 1);
+}
 
-    for (const [key] of request.headers.entries()) {
-        if (sensitiveHeaderNames.has(key.toLowerCase())) {
-            detectedHeaders.push(key);
-        }
+/**
+ * Order backups for the weighted, random and priority strategies (round-robin uses the cursor).
+ *
+ * - weighted: weighted random by static weight x success rate² / average latency for the domain
+ * - random: weighted random by static weight
+ * - priority: lowest priority first, weighted random by static weight within the same priority
+ */
+function orderBackupServers(servers, strategy, backupStats) {
+    if (strategy === "weighted") {
+        return shuffleByWeight(servers, server => getBackupScore(server, backupStats));
     }
 
-    if (customHeaders && typeof customHeaders === "object") {
-        for (const key of Object.keys(customHeaders)) {
-            if (sensitiveHeaderNames.has(String(key).toLowerCase())) {
-                detectedHeaders.push(key);
-            }
-        }
+    if (strategy === "priority") {
+        const priorities = [...new Set(servers.map(server => server.priority))].sort(
+            (a, b) => a - b
+        );
+        return priorities.flatMap(priority =>
+            shuffleByWeight(
+                servers.filter(server => server.priority === priority),
+                server => server.weight
+            )
+        );
     }
 
-    return detectedHeaders;
+    return shuffleByWeight(servers, server => server.weight);
+}
+
+function buildBackupStatsCacheKey(targetUrl) {
+    const targetDomain = getPreferredBackupScope(targetUrl);
+    return `${BACKUP_STATS_KV_KEY_PREFIX}${encodeURIComponent(targetDomain)}`;
 }
 
-async function getPreferredBackupServer(env, targetUrl) {
+async function getBackupStats(env, targetUrl, logger = rootLogger) {
     try {
         const backupServerCache = env?.BACKUP_SERVER_CACHE;
         if (!backupServerCache || typeof backupServerCache.get !== "function") {
-            return null;
+            return {};
         }
 
-        const cacheKey = buildPreferredBackupCacheKey(targetUrl);
-        const cachedValue = await backupServerCache.get(cacheKey);
-        const preferredBackupServer = typeof cachedValue === "string" ? cachedValue.trim() : "";
-        return preferredBackupServer || null;
+        const cachedValue = await backupServerCache.get(buildBackupStatsCacheKey(targetUrl));
+        return cachedValue ? JSON.parse(cachedValue) : {};
     } catch (error) {
-        const targetDomain = getPreferredBackupScope(targetUrl);
-        console.warn(
-            `[${new Date().toISOString()}] ⚠️  Failed to read preferred backup cache for ${targetDomain ||
-                targetUrl}: ${error.message}`
-        );
-        return null;
+        logger.warn("backup_stats.read_failed", {
+            scope: getPreferredBackupScope(targetUrl) || targetUrl,
+            error: error.message
+        });
+        return {};
+    }
+}
+
+// Fold one attempt into the per-backup moving averages (latency only counts successful attempts)
+function recordBackupStatsSample(backupStats, backupServer, success, latencyMs) {
+    const previousStats = backupStats[backupServer];
+    if (!previousStats) {
+        backupStats[backupServer] = {
+            latencyMs: success ? latencyMs : BACKUP_STATS_DEFAULT_LATENCY_MS,
+            successRate: success ? 1 : 0,
+            samples: 1,
+            updatedAt: new Date().toISOString()
+        };
+        return;
     }
+
+    backupStats[backupServer] = {
+        latencyMs: success
+            ? Math.round(
+                  BACKUP_STATS_EMA_ALPHA * latencyMs +
+                      (1 - BACKUP_STATS_EMA_ALPHA) * previousStats.latencyMs
+              )
+            : previousStats.latencyMs,
+        successRate:
+            BACKUP_STATS_EMA_ALPHA * (success ? 1 : 0) +
+            (1 - BACKUP_STATS_EMA_ALPHA) * previousStats.successRate,
+        samples: previousStats.samples + 1,
+        updatedAt: new Date().toISOString()
+    };
 }
 
-async function setPreferredBackupServer(env, targetUrl, backupCorsServer) {
+async function saveBackupStats(env, targetUrl, backupStats, logger = rootLogger) {
     try {
         const backupServerCache = env?.BACKUP_SERVER_CACHE;
         if (!backupServerCache || typeof backupServerCache.put !== "function") {
             return;
         }
 
-        const cacheKey = buildPreferredBackupCacheKey(targetUrl);
-        await backupServerCache.put(cacheKey, backupCorsServer, {
-            expirationTtl: PREFERRED_BACKUP_TTL_SECONDS
-        });
-    } catch (error) {
-        const targetDomain = getPreferredBackupScope(targetUrl);
-        console.warn(
-            `[${new Date().toISOString()}] ⚠️  Failed to write preferred backup cache for ${targetDomain ||
-                targetUrl}: ${error.message}`
+        await backupServerCache.put(
+            buildBackupStatsCacheKey(targetUrl),
+            JSON.stringify(backupStats),
+            { expirationTtl: BACKUP_STATS_TTL_SECONDS }
         );
+    } catch (error) {
+        logger.warn("backup_stats.write_failed", {
+            scope: getPreferredBackupScope(targetUrl) || targetUrl,
+            error: error.message
+        });
     }
 }
 
-async function clearPreferredBackupServer(env, targetUrl, reason = "") {
-    try {
+/**
+ * Validate a RETRY_POLICY object, e.g.
+ *   {"retryableStatuses":[429,502,503],"retryableErrors":["network","timeout"],
+ *    "backoff":{"initialMs":250,"maxMs":4000,"multiplier":2,"jitter":true},
+ *    "maxRetryAfterMs":10000,"nonIdempotent":"idempotency-key",
+ *    "overrides":[{"pattern":"^https://api\\.example\\.com/","retryableStatuses":[503]}]}
+ *
+ * Omitted fields keep their defaults. Each override is a partial policy applied on top of the
+ * top-level one for targets matching its regex pattern.
+ */
+function normalizeRetryPolicy(rawPolicy) {
+    if (!rawPolicy || typeof rawPolicy !== "object" || Array.isArray(rawPolicy)) {
+        throw new Error("RETRY_POLICY must be a JSON object");
+    }
+
+    const policy = mergeRetryPolicyFields(rawPolicy, DEFAULT_RETRY_POLICY, "RETRY_POLICY");
+
+    const rawOverrides = rawPolicy.overrides === undefined ? [] : rawPolicy.overrides;
+    if (!Array.isArray(rawOverrides)) {
+        throw new Error("RETRY_POLICY.overrides must be an array");
+    }
+    policy.overrides = rawOverrides.map((override, index) => {
+        const overridePrefix = `RETRY_POLICY.overrides[${index}]`;
+        if (!override || typeof override.pattern !== "string") {
+            throw new Error(`${overridePrefix}.pattern must be a regex string`);
+        }
+        return {
+            pattern: new RegExp(override.pattern),
+            policy: { ...mergeRetryPolicyFields(override, policy, overridePrefix), overrides: [] }
+        };
+    });
+
+    return policy;
+}
+
+function mergeRetryPolicyFields(rawPolicy, basePolicy, fieldPrefix) {
+    const policy = { ...basePolicy };
+
+    if (rawPolicy.retryableStatuses !== undefined) {
+        if (
+            !Array.isArray(rawPolicy.retryableStatuses) ||
+            rawPolicy.retryableStatuses.some(
+                status => !Number.isInteger(status) || status < 100 || status > 599
+            )
+        ) {
+            throw new Error(
+                `${fieldPrefix}.retryableStatuses must be an array of HTTP status codes`
+            );
+        }
+        policy.retryableStatuses = new Set(rawPolicy.retryableStatuses);
+    }
+
+    if (rawPolicy.retryableErrors !== undefined) {
+        if (
+            !Array.isArray(rawPolicy.retryableErrors) ||
+            rawPolicy.retryableErrors.some(errorClass => !RETRY_ERROR_CLASSES.includes(errorClass))
+        ) {
+            throw new Error(
+                `${fieldPrefix}.retryableErrors must be an array of ${RETRY_ERROR_CLASSES.join(
+                    ", "
+                )}`
+            );
+        }
+        policy.retryableErrors = new Set(rawPolicy.retryableErrors);
+    }
+
+    if (rawPolicy.backoff !== undefined) {
+        const backoff = { ...basePolicy.backoff, ...rawPolicy.backoff };
+        for (const field of ["initialMs", "maxMs"]) {
+            if (!Number.isInteger(backoff[field]) || backoff[field] < 0) {
+                throw new Error(`${fieldPrefix}.backoff.${field} must be a non-negative integer`);
+            }
+        }
+        if (typeof backoff.multiplier !== "number" || backoff.multiplier < 1) {
+            throw new Error(`${fieldPrefix}.backoff.multiplier must be a number >= 1`);
+        }
+        policy.backoff = {
+            initialMs: backoff.initialMs,
+            maxMs: backoff.maxMs,
+            multiplier: backoff.multiplier,
+            jitter: backoff.jitter !== false
+        };
+    }
+
+    if (rawPolicy.maxRetryAfterMs !== undefined) {
+        if (!Number.isInteger(rawPolicy.maxRetryAfterMs) || rawPolicy.maxRetryAfterMs < 0) {
+            throw new Error(`${fieldPrefix}.maxRetryAfterMs must be a non-negative integer`);
+        }
+        policy.maxRetryAfterMs = rawPolicy.maxRetryAfterMs;
+    }
+
+    if (rawPolicy.nonIdempotent !== undefined) {
+        if (!NON_IDEMPOTENT_RETRY_MODES.includes(rawPolicy.nonIdempotent)) {
+            throw new Error(
+                `${fieldPrefix}.nonIdempotent must be one of ${NON_IDEMPOTENT_RETRY_MODES.join(
+                    ", "
+                )}`
+            );
+        }
+        policy.nonIdempotent = rawPolicy.nonIdempotent;
+    }
+
+    return policy;
+}
+
+// First override whose pattern matches the target wins, otherwise the top-level policy applies
+function resolveRetryPolicy(retryPolicy, targetUrl) {
+    const override = retryPolicy.overrides.find(candidate => candidate.pattern.test(targetUrl));
+    return override ? override.policy : retryPolicy;
+}
+
+// Whether the request may be sent more than once (to a retry or a backup)
+function canReplayRequest(request, retryPolicy) {
+    if (IDEMPOTENT_METHODS.has(request.method)) {
+        return true;
+    }
+
+    if (retryPolicy.nonIdempotent === "always") {
+        return true;
+    }
+
+    return (
+        retryPolicy.nonIdempotent === "idempotency-key" && request.headers.has("idempotency-key")
+    );
+}
+
+// Exponential backoff for the nth retry of the same target (n >= 1), with full jitter
+function getRetryBackoffMs(backoff, retryNumber) {
+    const ceilingMs = Math.min(
+        backoff.maxMs,
+        backoff.initialMs * Math.pow(backoff.multiplier, retryNumber - 1)
+    );
+    return backoff.jitter ? Math.round(Math.random() * ceilingMs) : ceilingMs;
+}
+
+// Parse Retry-After (delay-seconds or HTTP date) into milliseconds, null when absent/invalid
+function parseRetryAfterMs(headerValue) {
+    if (!headerValue) {
+        return null;
+    }
+
+    const trimmedValue = headerValue.trim();
+    if (/^\d+$/.test(trimmedValue)) {
+        return Number(trimmedValue) * 1000;
+    }
+
+    const retryDate = Date.parse(trimmedValue);
+    return Number.isNaN(retryDate) ? null : Math.max(0, retryDate - Date.now());
+}
+
+/**
+ * Validate a CIRCUIT_BREAKER object, e.g.
+ *   {"failureThreshold":3,"cooldownSeconds":60,"halfOpenMaxProbes":1,"perDomain":false}
+ */
+function normalizeCircuitBreakerPolicy(rawPolicy) {
+    if (!rawPolicy || typeof rawPolicy !== "object" || Array.isArray(rawPolicy)) {
+        throw new Error("CIRCUIT_BREAKER must be a JSON object");
+    }
+
+    const policy = { ...DEFAULT_CIRCUIT_BREAKER_POLICY, ...rawPolicy };
+    for (const field of ["failureThreshold", "cooldownSeconds", "halfOpenMaxProbes"]) {
+        if (!Number.isInteger(policy[field]) || policy[field] < 1) {
+            throw new Error(`CIRCUIT_BREAKER.${field} must be a positive integer`);
+        }
+    }
+
+    return {
+        enabled: policy.enabled !== false,
+        failureThreshold: policy.failureThreshold,
+        cooldownSeconds: policy.cooldownSeconds,
+        halfOpenMaxProbes: policy.halfOpenMaxProbes,
+        perDomain: policy.perDomain === true
+    };
+}
+
+function getBackupCircuitKey(backupServer, targetUrl, policy) {
+    return policy.perDomain
+        ? `${backupServer}|${getPreferredBackupScope(targetUrl)}`
+        : backupServer;
+}
+
+function setBackupCircuitState(circuitKey, circuit, nextState, reason) {
+    if (circuit.state === nextState) {
+        return;
+    }
+
+    const previousState = circuit.state;
+    circuit.state = nextState;
+    circuit.changedAt = Date.now();
+
+    rootLogger[nextState === "open" ? "warn" : "info"]("circuit.state_changed", {
+        circuit: describeBackupCircuitKey(circuitKey),
+        from: previousState,
+        to: nextState,
+        reason: reason || undefined
+    });
+}
+
+/**
+ * Decide whether a backup may be tried under its circuit breaker.
+ *
+ * closed: always allowed. open: skipped until cooldownSeconds have passed, then the circuit
+ * goes half-open. half-open: up to halfOpenMaxProbes requests are let through per cooldown
+ * window; their outcome closes or re-opens the circuit.
+ *
+ * State is kept per isolate - each isolate learns about failing backups on its own.
+ */
+function acquireBackupCircuitPermit(circuitKey, policy) {
+    const circuit = backupCircuitStates.get(circuitKey);
+    if (!circuit || circuit.state === "closed") {
+        return true;
+    }
+
+    const nowMs = Date.now();
+    const cooldownMs = policy.cooldownSeconds * 1000;
+
+    if (circuit.state === "open") {
+        if (nowMs - circuit.openedAt < cooldownMs) {
+            return false;
+        }
+        setBackupCircuitState(circuitKey, circuit, "half-open", "cooldown elapsed");
+        circuit.probeWindowStartedAt = nowMs;
+        circuit.probesIssued = 0;
+    }
+
+    // Probes whose result never arrived (e.g. not attempted) free up after another cooldown
+    if (nowMs - circuit.probeWindowStartedAt >= cooldownMs) {
+        circuit.probeWindowStartedAt = nowMs;
+        circuit.probesIssued = 0;
+    }
+
+    if (circuit.probesIssued >= policy.halfOpenMaxProbes) {
+        return false;
+    }
+
+    circuit.probesIssued++;
+    return true;
+}
+
+// Give back a half-open probe that was reserved for a request but never sent (e.g. direct succeeded)
+function releaseBackupCircuitPermit(circuitKey) {
+    const circuit = backupCircuitStates.get(circuitKey);
+    if (circuit && circuit.state === "half-open" && circuit.probesIssued > 0) {
+        circuit.probesIssued--;
+    }
+}
+
+function recordBackupCircuitSuccess(circuitKey) {
+    const circuit = backupCircuitStates.get(circuitKey);
+    if (!circuit) {
+        return;
+    }
+
+    circuit.consecutiveFailures = 0;
+    setBackupCircuitState(circuitKey, circuit, "closed", "request succeeded");
+}
+
+function recordBackupCircuitFailure(circuitKey, policy, reason) {
+    let circuit = backupCircuitStates.get(circuitKey);
+    if (!circuit) {
+        circuit = {
+            state: "closed",
+            consecutiveFailures: 0,
+            openedAt: 0,
+            probeWindowStartedAt: 0,
+            probesIssued: 0,
+            changedAt: Date.now(),
+            lastFailure: null
+        };
+        backupCircuitStates.set(circuitKey, circuit);
+    }
+
+    circuit.consecutiveFailures++;
+    circuit.lastFailure = reason;
+
+    if (
+        circuit.state === "half-open" ||
+        (circuit.state === "closed" && circuit.consecutiveFailures >= policy.failureThreshold)
+    ) {
+        circuit.openedAt = Date.now();
+        setBackupCircuitState(
+            circuitKey,
+            circuit,
+            "open",
+            `${circuit.consecutiveFailures} consecutive failures, last: ${reason}`
+        );
+    }
+}
+
+// Backup templates may embed credentials in their path or query, so only show the host publicly
+function getBackupHost(backupServer) {
+    try {
+        return new URL(backupServer.replace(/\{url\}/g, "")).host;
+    } catch (e) {
+        return "backup";
+    }
+}
+
+function describeBackupCircuitKey(circuitKey) {
+    const [backupServer, targetDomain] = circuitKey.split("|");
+    const backupHost = getBackupHost(backupServer);
+    return targetDomain ? `${backupHost} -> ${targetDomain}` : backupHost;
+}
+
+function getBackupCircuitSnapshot() {
+    return Array.from(backupCircuitStates.entries()).map(([circuitKey, circuit]) => ({
+        circuitKey,
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        lastFailure: circuit.lastFailure,
+        changedAt: new Date(circuit.changedAt).toISOString()
+    }));
+}
+
+function getSensitiveHeadersForBackup(request, customHeaders) {
+    const sensitiveHeaderNames = new Set([
+        "authorization",
+        "proxy-authorization",
+        "x-api-key",
+        "api-key",
+        "x-auth-token",
+        "x-access-token"
+    ]);
+
+    const detectedHeaders = [];
+
+    for (const [key] of request.headers.entries()) {
+        if (sensitiveHeaderNames.has(key.toLowerCase())) {
+            detectedHeaders.push(key);
+        }
+    }
+
+    if (customHeaders && typeof customHeaders === "object") {
+        for (const key of Object.keys(customHeaders)) {
+            if (sensitiveHeaderNames.has(String(key).toLowerCase())) {
+                detectedHeaders.push(key);
+            }
+        }
+    }
+
+    return detectedHeaders;
+}
+
+async function getPreferredBackupServer(env, targetUrl, logger = rootLogger) {
+    try {
+        const backupServerCache = env?.BACKUP_SERVER_CACHE;
+        if (!backupServerCache || typeof backupServerCache.get !== "function") {
+            return null;
+        }
+
+        const cacheKey = buildPreferredBackupCacheKey(targetUrl);
+        const cachedValue = await backupServerCache.get(cacheKey);
+        const preferredBackupServer = typeof cachedValue === "string" ? cachedValue.trim() : "";
+        return preferredBackupServer || null;
+    } catch (error) {
+        logger.warn("backup_preference.read_failed", {
+            scope: getPreferredBackupScope(targetUrl) || targetUrl,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+async function setPreferredBackupServer(env, targetUrl, backupCorsServer, logger = rootLogger) {
+    try {
+        const backupServerCache = env?.BACKUP_SERVER_CACHE;
+        if (!backupServerCache || typeof backupServerCache.put !== "function") {
+            return;
+        }
+
+        const cacheKey = buildPreferredBackupCacheKey(targetUrl);
+        await backupServerCache.put(cacheKey, backupCorsServer, {
+            expirationTtl: PREFERRED_BACKUP_TTL_SECONDS
+        });
+    } catch (error) {
+        logger.warn("backup_preference.write_failed", {
+            scope: getPreferredBackupScope(targetUrl) || targetUrl,
+            error: error.message
+        });
+    }
+}
+
+async function clearPreferredBackupServer(env, targetUrl, reason = "", logger = rootLogger) {
+    try {
         const backupServerCache = env?.BACKUP_SERVER_CACHE;
         if (!backupServerCache || typeof backupServerCache.delete !== "function") {
             return;
         }
 
-        const targetDomain = getPreferredBackupScope(targetUrl);
         const cacheKey = buildPreferredBackupCacheKey(targetUrl);
         await backupServerCache.delete(cacheKey);
 
         if (reason) {
-            console.log(
-                `[${new Date().toISOString()}] ℹ️  Cleared preferred backup cache for ${targetDomain ||
-                    targetUrl}: ${reason}`
-            );
+            logger.info("backup_preference.cleared", {
+                scope: getPreferredBackupScope(targetUrl) || targetUrl,
+                reason
+            });
         }
     } catch (error) {
-        const targetDomain = getPreferredBackupScope(targetUrl);
-        console.warn(
-            `[${new Date().toISOString()}] ⚠️  Failed to clear preferred backup cache for ${targetDomain ||
-                targetUrl}: ${error.message}`
-        );
+        logger.warn("backup_preference.clear_failed", {
+            scope: getPreferredBackupScope(targetUrl) || targetUrl,
+            error: error.message
+        });
     }
 }
 
-// Bot Detection Note:
-// Some sites (like Google) use advanced bot detection that may block Cloudflare Workers requests.
-// This is due to: IP reputation (data center IPs), TLS fingerprinting, inability to execute
-// JavaScript challenges, and no headless browser support. For blocked sites, consider:
-// 1. Using external scraping services (ScrapingBee, ScraperAPI, etc.)
-// 2. Using official APIs when available
-// 3. Deploying on platforms that support headless browsers (Vercel, AWS Lambda, etc.)
+/**
+ * List preferred backup entries from BACKUP_SERVER_CACHE (first `limit` keys).
+ *
+ * Returns null when the binding cannot be listed, otherwise
+ * { entries: [{ scope, backupServer }], truncated }. backupServer is the raw template.
+ */
+async function listPreferredBackupServers(env, limit = 100) {
+    const backupServerCache = env?.BACKUP_SERVER_CACHE;
+    if (!backupServerCache || typeof backupServerCache.list !== "function") {
+        return null;
+    }
+
+    const page = await backupServerCache.list({ prefix: PREFERRED_BACKUP_KV_KEY_PREFIX, limit });
+    const entries = await Promise.all(
+        page.keys.map(async ({ name }) => ({
+            scope: decodeURIComponent(name.slice(PREFERRED_BACKUP_KV_KEY_PREFIX.length)),
+            backupServer: await backupServerCache.get(name)
+        }))
+    );
+
+    return {
+        // Entries can expire between list() and get()
+        entries: entries.filter(entry => entry.backupServer),
+        truncated: !page.list_complete
+    };
+}
+
+function getBackupProbeUrl(env) {
+    const rawProbeUrl =
+        typeof env?.BACKUP_PROBE_URL === "string" ? env.BACKUP_PROBE_URL.trim() : "";
+    if (!rawProbeUrl) {
+        return DEFAULT_BACKUP_PROBE_URL;
+    }
+
+    try {
+        const probeUrl = new URL(rawProbeUrl);
+        if (probeUrl.protocol === "http:" || probeUrl.protocol === "https:") {
+            return probeUrl.href;
+        }
+    } catch (e) {
+        // Fall through to the warning below
+    }
+
+    rootLogger.warn("config.invalid", {
+        key: "BACKUP_PROBE_URL",
+        error: "must be an http(s) URL",
+        fallback: "default"
+    });
+    return DEFAULT_BACKUP_PROBE_URL;
+}
+
+async function probeBackupServer(server, probeUrl, timeoutMs) {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    const timeoutId = timeoutMs > 0 ? setTimeout(() => abortController.abort(), timeoutMs) : null;
+
+    try {
+        const response = await fetch(buildBackupTargetUrl(server.template, probeUrl), {
+            method: "GET",
+            // cors-anywhere style servers reject requests without Origin / X-Requested-With
+            headers: { "X-Requested-With": "XMLHttpRequest", ...server.headers },
+            signal: abortController.signal
+        });
+        const latencyMs = Date.now() - startTime;
+        if (response.body) {
+            response.body.cancel();
+        }
+
+        return {
+            template: server.template,
+            healthy: response.status >= 200 && response.status < 400,
+            status: response.status,
+            latencyMs,
+            error: null,
+            checkedAt: new Date().toISOString()
+        };
+    } catch (error) {
+        return {
+            template: server.template,
+            healthy: false,
+            status: null,
+            latencyMs: Date.now() - startTime,
+            error: abortController.signal.aborted ? `timeout after ${timeoutMs}ms` : error.message,
+            checkedAt: new Date().toISOString()
+        };
+    } finally {
+        if (timeoutId) {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+/**
+ * Read backups disabled through the admin API: { [template]: { until, reason } }.
+ * Expired entries are dropped. Cached per isolate for DISABLED_BACKUPS_MEMORY_TTL_MS.
+ */
+async function getDisabledBackupServers(env, logger = rootLogger) {
+    const backupServerCache = env?.BACKUP_SERVER_CACHE;
+    if (!backupServerCache || typeof backupServerCache.get !== "function") {
+        return {};
+    }
+
+    if (!disabledBackupsCache || Date.now() >= disabledBackupsCache.expiresAt) {
+        let disabledBackups = {};
+        try {
+            const cachedValue = await backupServerCache.get(DISABLED_BACKUPS_KV_KEY);
+            disabledBackups = cachedValue ? JSON.parse(cachedValue) : {};
+        } catch (error) {
+            logger.warn("backup_disabled.read_failed", { error: error.message });
+        }
+        disabledBackupsCache = {
+            disabledBackups,
+            expiresAt: Date.now() + DISABLED_BACKUPS_MEMORY_TTL_MS
+        };
+    }
+
+    const now = Date.now();
+    return Object.fromEntries(
+        Object.entries(disabledBackupsCache.disabledBackups).filter(
+            ([, entry]) => Date.parse(entry.until) > now
+        )
+    );
+}
+
+/**
+ * Disable a backup until `until` (ISO date), or re-enable it when `until` is null.
+ * Returns the updated map of disabled backups.
+ */
+async function setBackupServerDisabled(env, backupServer, until, reason = "") {
+    const backupServerCache = env?.BACKUP_SERVER_CACHE;
+    if (!backupServerCache || typeof backupServerCache.put !== "function") {
+        throw new Error("BACKUP_SERVER_CACHE binding missing");
+    }
+
+    disabledBackupsCache = null;
+    const disabledBackups = await getDisabledBackupServers(env);
+    if (until) {
+        disabledBackups[backupServer] = { until, reason };
+    } else {
+        delete disabledBackups[backupServer];
+    }
+
+    const latestUntil = Math.max(
+        0,
+        ...Object.values(disabledBackups).map(entry => Date.parse(entry.until))
+    );
+    await backupServerCache.put(DISABLED_BACKUPS_KV_KEY, JSON.stringify(disabledBackups), {
+        // KV requires a TTL of at least 60 seconds
+        expirationTtl: Math.max(60, Math.ceil((latestUntil - Date.now()) / 1000))
+    });
+    // KV reads can lag behind the write, so serve this isolate from what was written
+    disabledBackupsCache = {
+        disabledBackups,
+        expiresAt: Date.now() + DISABLED_BACKUPS_MEMORY_TTL_MS
+    };
+    return disabledBackups;
+}
+
+/**
+ * Read the latest health check summary written by the scheduled handler.
+ * Cached per isolate for BACKUP_HEALTH_MEMORY_TTL_MS so proxy requests don't each pay a KV read.
+ */
+async function getBackupHealthSummary(env) {
+    const backupServerCache = env?.BACKUP_SERVER_CACHE;
+    if (!backupServerCache || typeof backupServerCache.get !== "function") {
+        return null;
+    }
+
+    if (backupHealthSummaryCache && Date.now() < backupHealthSummaryCache.expiresAt) {
+        return backupHealthSummaryCache.summary;
+    }
+
+    let summary = null;
+    try {
+        const cachedValue = await backupServerCache.get(BACKUP_HEALTH_KV_KEY);
+        summary = cachedValue ? JSON.parse(cachedValue) : null;
+    } catch (error) {
+        rootLogger.warn("health.read_failed", { error: error.message });
+    }
+
+    backupHealthSummaryCache = { summary, expiresAt: Date.now() + BACKUP_HEALTH_MEMORY_TTL_MS };
+    return summary;
+}
+
+function getUnhealthyBackupTemplates(healthSummary) {
+    if (!healthSummary || !Array.isArray(healthSummary.results)) {
+        return new Set();
+    }
+
+    return new Set(
+        healthSummary.results.filter(result => !result.healthy).map(result => result.template)
+    );
+}
+
+/**
+ * Probe every configured backup through BACKUP_PROBE_URL (run from the cron trigger).
+ *
+ * Results are stored in BACKUP_SERVER_CACHE under BACKUP_HEALTH_KV_KEY. Preferred backup
+ * entries pointing at a dead backup are cleared, and the probe URL's own domain is pinned
+ * to the fastest healthy backup.
+ */
+async function runBackupHealthChecks(env) {
+    const config = await loadConfig(env);
+    const backupServerCache = env?.BACKUP_SERVER_CACHE;
+    if (config.backupCorsServers.length === 0) {
+        return null;
+    }
+
+    if (!backupServerCache || typeof backupServerCache.put !== "function") {
+        rootLogger.warn("health.skipped", { reason: "BACKUP_SERVER_CACHE binding missing" });
+        return null;
+    }
+
+    const probeUrl = getBackupProbeUrl(env);
+    const timeoutMs = parseNonNegativeIntegerEnv(
+        env,
+        "BACKUP_PROBE_TIMEOUT_MS",
+        DEFAULT_BACKUP_PROBE_TIMEOUT_MS
+    );
+    const results = await Promise.all(
+        config.backupCorsServers.map(server => probeBackupServer(server, probeUrl, timeoutMs))
+    );
+
+    results.forEach(result => {
+        rootLogger[result.healthy ? "info" : "warn"]("health.probe", {
+            backup: redactBackupTemplate(result.template),
+            status: result.status || undefined,
+            error: result.error || undefined,
+            durationMs: result.latencyMs,
+            outcome: result.healthy ? "healthy" : "unhealthy"
+        });
+    });
+
+    const summary = { probeUrl, checkedAt: new Date().toISOString(), results };
+    await backupServerCache.put(BACKUP_HEALTH_KV_KEY, JSON.stringify(summary), {
+        expirationTtl: BACKUP_HEALTH_TTL_SECONDS
+    });
+    backupHealthSummaryCache = null;
+
+    // Preferences pointing at a backup that failed move to the fastest healthy backup (or are
+    // cleared when none is healthy); preferences for healthy backups keep their own expiry
+    const unhealthyTemplates = getUnhealthyBackupTemplates(summary);
+    const fastestHealthyResult = results
+        .filter(result => result.healthy)
+        .sort((a, b) => a.latencyMs - b.latencyMs)[0];
+    if (unhealthyTemplates.size > 0 && typeof backupServerCache.list === "function") {
+        let cursor;
+        do {
+            const page = await backupServerCache.list({
+                prefix: PREFERRED_BACKUP_KV_KEY_PREFIX,
+                cursor
+            });
+            for (const { name } of page.keys) {
+                const preferredBackupServer = await backupServerCache.get(name);
+                if (!unhealthyTemplates.has(preferredBackupServer)) {
+                    continue;
+                }
+
+                const scope = decodeURIComponent(name.slice(PREFERRED_BACKUP_KV_KEY_PREFIX.length));
+                if (fastestHealthyResult) {
+                    await backupServerCache.put(name, fastestHealthyResult.template, {
+                        expirationTtl: PREFERRED_BACKUP_TTL_SECONDS
+                    });
+                    rootLogger.info("backup_preference.replaced", {
+                        scope,
+                        backup: redactBackupTemplate(fastestHealthyResult.template),
+                        reason: "backup failed scheduled health check"
+                    });
+                } else {
+                    await backupServerCache.delete(name);
+                    rootLogger.info("backup_preference.cleared", {
+                        scope,
+                        reason: "backup failed scheduled health check"
+                    });
+                }
+            }
+            cursor = page.list_complete ? undefined : page.cursor;
+        } while (cursor);
+    }
+
+    return summary;
+}
+
+/**
+ * Validate a RATE_LIMITS object.
+ *
+ * Each key type (ip, origin, apiKey) maps to an array of fixed windows:
+ *   {"ip":[{"limit":1000,"windowSeconds":600}],"origin":[],"apiKey":[{"limit":50000,"windowSeconds":86400}]}
+ * Key types that are omitted keep their default windows; an empty array disables that key type.
+ */
+function normalizeRateLimits(rawRateLimits) {
+    if (!rawRateLimits || typeof rawRateLimits !== "object" || Array.isArray(rawRateLimits)) {
+        throw new Error("RATE_LIMITS must be a JSON object");
+    }
+
+    const normalizedRateLimits = { ...DEFAULT_RATE_LIMITS };
+    for (const [keyType, windows] of Object.entries(rawRateLimits)) {
+        if (!RATE_LIMIT_KEY_TYPES.includes(keyType)) {
+            throw new Error(
+                `RATE_LIMITS.${keyType} is not a supported key type (${RATE_LIMIT_KEY_TYPES.join(
+                    ", "
+                )})`
+            );
+        }
+
+        if (!Array.isArray(windows)) {
+            throw new Error(`RATE_LIMITS.${keyType} must be an array of windows`);
+        }
+
+        normalizedRateLimits[keyType] = windows.map((window, index) =>
+            normalizeRateLimitWindow(window, `RATE_LIMITS.${keyType}[${index}]`)
+        );
+    }
+
+    return normalizedRateLimits;
+}
+
+function normalizeRateLimitWindow(window, labelForError) {
+    const limit = Number(window?.limit);
+    const windowSeconds = Number(window?.windowSeconds);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`${labelForError}.limit must be a non-negative integer`);
+    }
+    if (!Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+        throw new Error(`${labelForError}.windowSeconds must be a positive integer`);
+    }
+    return { limit, windowSeconds };
+}
+
+function describeRateLimitWindow({ limit, windowSeconds }) {
+    const units = [
+        [24 * 60 * 60, "day"],
+        [60 * 60, "hour"],
+        [60, "minute"],
+        [1, "second"]
+    ];
+    const [unitSeconds, unitName] = units.find(([seconds]) => windowSeconds % seconds === 0);
+    const unitCount = windowSeconds / unitSeconds;
+    const period = unitCount === 1 ? unitName : `${unitCount} ${unitName}s`;
+    return `${limit.toLocaleString("en-US")} requests/${period}`;
+}
+
+function getRequestApiKey(request, originUrl) {
+    const headerKey = request.headers.get(API_KEY_HEADER_NAME);
+    const queryKey = originUrl.searchParams.get(API_KEY_QUERY_PARAM);
+    const apiKey = (headerKey || queryKey || "").trim();
+    return apiKey || null;
+}
+
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+async function hashIdentifier(value) {
+    return (await sha256Hex(value)).slice(0, 32);
+}
+
+/**
+ * Resolve which rate limit identities apply to a request.
+ * An authenticated API key replaces the IP/origin identities so key holders get their own
+ * budget, counted against apiKeyWindows (the key's quota, else RATE_LIMITS.apiKey). A key
+ * without any windows keeps the IP/origin limits, so it can never mean "unlimited". Only pass
+ * keys authenticateApiKey accepted - anything else would let a made-up key skip the IP limits.
+ */
+function getRateLimitIdentities(request, apiKey = null, apiKeyWindows = []) {
+    if (apiKey && apiKeyWindows.length > 0) {
+        return [{ keyType: "apiKey", identifier: apiKey, windows: apiKeyWindows }];
+    }
+
+    const identities = [
+        { keyType: "ip", identifier: request.headers.get("CF-Connecting-IP") || "unknown" }
+    ];
+    const origin = request.headers.get("Origin");
+    if (origin) {
+        identities.push({ keyType: "origin", identifier: origin.toLowerCase() });
+    }
+    return identities;
+}
+
+/**
+ * Check (and count) a request against fixed-window counters stored in env.RATE_LIMIT_KV.
+ *
+ * Counters are keyed by key type, hashed identifier, window size and window start, and
+ * expire shortly after their window ends. KV is eventually consistent, so the limits are
+ * approximate under bursts from many locations - use a Durable Object-backed binding that
+ * implements the same get/put interface when exact counts matter. Any object exposing
+ * KV-style get/put works, which makes a Map-based stand-in enough for local development.
+ *
+ * Returns null when rate limiting is disabled (no binding or no windows), otherwise
+ * { limited, retryAfterSeconds, windows: [{ keyType, limit, windowSeconds, remaining, resetSeconds }] }
+ */
+async function checkRateLimits(env, ctx, rateLimits, identities, logger = rootLogger) {
+    const rateLimitStore = env?.RATE_LIMIT_KV;
+    if (!rateLimitStore || typeof rateLimitStore.get !== "function") {
+        return null;
+    }
+
+    const nowMs = Date.now();
+    const counters = [];
+    for (const { keyType, identifier, windows } of identities) {
+        const keyWindows = windows || rateLimits[keyType] || [];
+        if (keyWindows.length === 0) {
+            continue;
+        }
+
+        const hashedIdentifier = await hashIdentifier(identifier);
+        for (const { limit, windowSeconds } of keyWindows) {
+            const windowMs = windowSeconds * 1000;
+            const windowStart = Math.floor(nowMs / windowMs) * windowMs;
+            counters.push({
+                keyType,
+                limit,
+                windowSeconds,
+                resetSeconds: Math.max(1, Math.ceil((windowStart + windowMs - nowMs) / 1000)),
+                cacheKey: `${RATE_LIMIT_KV_KEY_PREFIX}${keyType}:${hashedIdentifier}:${windowSeconds}:${windowStart}`
+            });
+        }
+    }
+
+    if (counters.length === 0) {
+        return null;
+    }
+
+    try {
+        const currentCounts = await Promise.all(
+            counters.map(async counter => {
+                const storedValue = await rateLimitStore.get(counter.cacheKey);
+                const storedCount = Number.parseInt(storedValue, 10);
+                return Number.isInteger(storedCount) ? storedCount : 0;
+            })
+        );
+
+        const exceededCounters = counters.filter(
+            (counter, index) => currentCounts[index] >= counter.limit
+        );
+        const limited = exceededCounters.length > 0;
+
+        if (!limited) {
+            ctx.waitUntil(
+                Promise.all(
+                    counters.map((counter, index) =>
+                        rateLimitStore.put(counter.cacheKey, String(currentCounts[index] + 1), {
+                            // KV requires a TTL of at least 60 seconds
+                            expirationTtl: Math.max(60, counter.resetSeconds + 60)
+                        })
+                    )
+                ).catch(error => {
+                    logger.warn("rate_limit.write_failed", { error: error.message });
+                })
+            );
+        }
+
+        return {
+            limited,
+            retryAfterSeconds: limited
+                ? Math.max(...exceededCounters.map(counter => counter.resetSeconds))
+                : 0,
+            windows: counters.map((counter, index) => ({
+                keyType: counter.keyType,
+                limit: counter.limit,
+                windowSeconds: counter.windowSeconds,
+                remaining: Math.max(0, counter.limit - currentCounts[index] - (limited ? 0 : 1)),
+                resetSeconds: counter.resetSeconds
+            }))
+        };
+    } catch (error) {
+        // Fail open: a KV outage should not take the proxy down
+        logger.warn("rate_limit.read_failed", { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Normalize an API key policy record stored in the API_KEYS KV namespace.
+ *
+ * Record format (stored under "api-key:<sha256 hex of the key>"):
+ *   {
+ *     "name": "frontend-prod",
+ *     "enabled": true,
+ *     "expiresAt": "2026-12-31T00:00:00Z",
+ *     "allowedTargets": ["^https://api\\.example\\.com/"],
+ *     "allowedMethods": ["GET", "POST"],
+ *     "quota": [{ "limit": 10000, "windowSeconds": 86400 }],
+ *     "allowBackup": true
+ *   }
+ *
+ * Omitted fields mean "no restriction" (quota falls back to RATE_LIMITS.apiKey).
+ */
+function normalizeApiKeyPolicy(rawPolicy) {
+    if (!rawPolicy || typeof rawPolicy !== "object" || Array.isArray(rawPolicy)) {
+        throw new Error("API key record must be a JSON object");
+    }
+
+    const allowedTargets = rawPolicy.allowedTargets ?? null;
+    if (allowedTargets !== null && !Array.isArray(allowedTargets)) {
+        throw new Error("allowedTargets must be an array of regex patterns");
+    }
+
+    const allowedMethods = rawPolicy.allowedMethods ?? null;
+    if (allowedMethods !== null && !Array.isArray(allowedMethods)) {
+        throw new Error("allowedMethods must be an array of HTTP methods");
+    }
+
+    let quota = null;
+    if (rawPolicy.quota !== undefined && rawPolicy.quota !== null) {
+        const rawQuota = Array.isArray(rawPolicy.quota) ? rawPolicy.quota : [rawPolicy.quota];
+        quota = rawQuota.map((window, index) =>
+            normalizeRateLimitWindow(window, `quota[${index}]`)
+        );
+    }
+
+    const expiresAtMs = rawPolicy.expiresAt ? Date.parse(rawPolicy.expiresAt) : null;
+    if (rawPolicy.expiresAt && Number.isNaN(expiresAtMs)) {
+        throw new Error("expiresAt must be an ISO date");
+    }
+
+    return {
+        name: typeof rawPolicy.name === "string" ? rawPolicy.name : "unnamed",
+        enabled: rawPolicy.enabled !== false,
+        expiresAtMs,
+        allowedTargets,
+        allowedMethods: allowedMethods
+            ? allowedMethods.map(method => String(method).toUpperCase())
+            : null,
+        quota,
+        allowBackup: rawPolicy.allowBackup !== false,
+        allowDebug: rawPolicy.allowDebug === true
+    };
+}
+
+/**
+ * Authenticate an API key and check its policy against the requested target and method.
+ *
+ * Keys are looked up by SHA-256 hash in env.API_KEYS so raw keys never sit in KV, and can
+ * be rotated by writing/deleting records (lookups are edge-cached for 60 seconds).
+ *
+ * Returns { allowed: true, policy } or { allowed: false, status, reason }.
+ */
+async function authenticateApiKey(env, apiKey, targetUrl, method, logger = rootLogger) {
+    if (!apiKey) {
+        return { allowed: false, status: 401, reason: "API key required" };
+    }
+
+    const apiKeyStore = env?.API_KEYS;
+    if (!apiKeyStore || typeof apiKeyStore.get !== "function") {
+        return { allowed: false, status: 503, reason: "API key store unavailable" };
+    }
+
+    let policy;
+    try {
+        const keyHash = await sha256Hex(apiKey);
+        const rawPolicy = await apiKeyStore.get(`${API_KEY_KV_KEY_PREFIX}${keyHash}`, {
+            type: "json",
+            cacheTtl: API_KEY_CACHE_TTL_SECONDS
+        });
+        if (!rawPolicy) {
+            return { allowed: false, status: 401, reason: "invalid API key" };
+        }
+        policy = normalizeApiKeyPolicy(rawPolicy);
+    } catch (error) {
+        logger.warn("api_key.lookup_failed", { error: error.message });
+        return { allowed: false, status: 503, reason: "API key store unavailable" };
+    }
+
+    if (!policy.enabled) {
+        return { allowed: false, status: 401, reason: "API key disabled" };
+    }
+
+    if (policy.expiresAtMs !== null && policy.expiresAtMs <= Date.now()) {
+        return { allowed: false, status: 401, reason: "API key expired" };
+    }
+
+    if (policy.allowedMethods && !policy.allowedMethods.includes(method.toUpperCase())) {
+        return {
+            allowed: false,
+            status: 403,
+            reason: `method ${method} not allowed for API key ${policy.name}`
+        };
+    }
+
+    if (policy.allowedTargets && !matchesPatternList(targetUrl, policy.allowedTargets)) {
+        return {
+            allowed: false,
+            status: 403,
+            reason: `target not allowed for API key ${policy.name}`
+        };
+    }
+
+    return { allowed: true, policy };
+}
+
+/**
+ * Set RateLimit-* headers (IETF draft) for the most restrictive window,
+ * plus Retry-After when the request was rejected.
+ */
+function setRateLimitHeaders(headers, rateLimitResult) {
+    if (!rateLimitResult || rateLimitResult.windows.length === 0) {
+        return headers;
+    }
+
+    const mostRestrictiveWindow = rateLimitResult.windows.reduce((lowest, window) =>
+        window.remaining < lowest.remaining ? window : lowest
+    );
+
+    headers.set("RateLimit-Limit", String(mostRestrictiveWindow.limit));
+    headers.set("RateLimit-Remaining", String(mostRestrictiveWindow.remaining));
+    headers.set("RateLimit-Reset", String(mostRestrictiveWindow.resetSeconds));
+    headers.set(
+        "RateLimit-Policy",
+        rateLimitResult.windows
+            .map(window => `${window.limit};w=${window.windowSeconds}`)
+            .join(", ")
+    );
+
+    if (rateLimitResult.limited) {
+        headers.set("Retry-After", String(rateLimitResult.retryAfterSeconds));
+    }
+
+    return headers;
+}
+
+// Bot Detection Note:
+// Some sites (like Google) use advanced bot detection that may block Cloudflare Workers requests.
+// This is due to: IP reputation (data center IPs), TLS fingerprinting, inability to execute
+// JavaScript challenges, and no headless browser support. For blocked sites, consider:
+// 1. Using external scraping services (ScrapingBee, ScraperAPI, etc.)
+// 2. Using official APIs when available
+// 3. Deploying on platforms that support headless browsers (Vercel, AWS Lambda, etc.)
+
+/**
+ * Validate an UPSTREAM_CREDENTIALS array (a secret), e.g.
+ *   [{"targets":["api.example.com"],"headers":{"Authorization":"Bearer sk-..."}},
+ *    {"targets":["*.maps.example.org/v2/"],"query":{"key":"..."}}]
+ * Targets use the ACCESS_RULES target syntax; the first matching rule is injected into direct
+ * attempts only.
+ */
+function normalizeUpstreamCredentials(rawCredentials) {
+    if (!Array.isArray(rawCredentials)) {
+        throw new Error("UPSTREAM_CREDENTIALS must be a JSON array of rules");
+    }
+
+    return rawCredentials.map((rule, index) => {
+        const field = name => `UPSTREAM_CREDENTIALS[${index}].${name}`;
+        if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+            throw new Error(`UPSTREAM_CREDENTIALS[${index}] must be an object`);
+        }
+        if (!Array.isArray(rule.targets) || rule.targets.length === 0) {
+            throw new Error(`${field("targets")} must be a non-empty array`);
+        }
+
+        const values = {};
+        for (const name of ["headers", "query"]) {
+            const entries = rule[name] === undefined ? {} : rule[name];
+            if (
+                !entries ||
+                typeof entries !== "object" ||
+                Array.isArray(entries) ||
+                Object.values(entries).some(value => typeof value !== "string" || !value)
+            ) {
+                throw new Error(`${field(name)} must be an object of non-empty strings`);
+            }
+            values[name] = entries;
+        }
+        if (
+            Object.keys(values.headers).some(header => !/^[!#$%&'*+.^_`|~0-9a-z-]+$/i.test(header))
+        ) {
+            throw new Error(`${field("headers")} has an invalid header name`);
+        }
+        if (Object.keys(values.headers).length + Object.keys(values.query).length === 0) {
+            throw new Error(`UPSTREAM_CREDENTIALS[${index}] must set headers or query`);
+        }
+
+        return {
+            targets: rule.targets.map((target, targetIndex) =>
+                parseAccessTarget(target, `${field("targets")}[${targetIndex}]`)
+            ),
+            headers: values.headers,
+            query: values.query
+        };
+    });
+}
+
+function findUpstreamCredential(targetUrl, upstreamCredentials) {
+    let parsedTargetUrl;
+    try {
+        parsedTargetUrl = new URL(targetUrl);
+    } catch (e) {
+        return null;
+    }
+    return (
+        upstreamCredentials.find(rule =>
+            rule.targets.some(target => matchesAccessTarget(target, targetUrl, parsedTargetUrl))
+        ) || null
+    );
+}
+
+// Target URL with the rule's query params set (for the direct attempt only)
+function addUpstreamCredentialQuery(targetUrl, credential) {
+    const url = new URL(targetUrl);
+    Object.entries(credential.query).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.href;
+}
+
+// Inverse of addUpstreamCredentialQuery, for URLs reported back to the client
+function removeUpstreamCredentialQuery(url, credential) {
+    try {
+        const parsedUrl = new URL(url);
+        Object.keys(credential.query).forEach(name => parsedUrl.searchParams.delete(name));
+        return parsedUrl.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+// Replace injected credential values an upstream echoes back in its response headers
+function scrubUpstreamCredentialValues(headers, credential) {
+    const secrets = [...Object.values(credential.headers), ...Object.values(credential.query)];
+    for (const [name, value] of Array.from(headers.entries())) {
+        if (
+            secrets.some(
+                secret => value.includes(secret) || value.includes(encodeURIComponent(secret))
+            )
+        ) {
+            headers.set(name, "***");
+        }
+    }
+    return headers;
+}
+
+/**
+ * REQUIRE_ORIGIN strict mode: work out which origin a request comes from, or why it is refused.
+ * Returns { origin, source } with source "origin", "referer" or "bypass", or { error }.
+ *
+ * A missing Origin falls back to the Referer's origin; "Origin: null" (sandboxed frames,
+ * file://, privacy-sensitive redirects) is refused. When a browser sends Sec-Fetch-Site /
+ * Sec-Fetch-Mode they must describe a fetch from a page, not a navigation or a typed URL.
+ * Non-browser clients skip the checks with a token from ORIGIN_BYPASS_TOKENS.
+ */
+async function resolveStrictOrigin(request, config) {
+    const bypassToken = request.headers.get(ORIGIN_BYPASS_HEADER_NAME);
+    if (bypassToken !== null) {
+        return (await matchesSecretToken(bypassToken, config.originBypassTokens))
+            ? { origin: request.headers.get("Origin"), source: "bypass" }
+            : { error: "invalid bypass token" };
+    }
+
+    const originHeader = request.headers.get("Origin");
+    if (originHeader !== null && originHeader.trim().toLowerCase() === "null") {
+        return { error: "Origin: null is not accepted" };
+    }
+
+    let origin = originHeader;
+    let source = "origin";
+    if (!origin) {
+        try {
+            origin = new URL(request.headers.get("Referer") || "").origin;
+        } catch (e) {
+            origin = null;
+        }
+        if (!origin || origin === "null") {
+            return { error: "missing Origin header (and no usable Referer)" };
+        }
+        source = "referer";
+    }
+
+    const fetchSite = request.headers.get("Sec-Fetch-Site");
+    if (fetchSite !== null && !STRICT_ORIGIN_FETCH_SITES.has(fetchSite.trim().toLowerCase())) {
+        return { error: `Sec-Fetch-Site: ${fetchSite} is not accepted` };
+    }
+    const fetchMode = request.headers.get("Sec-Fetch-Mode");
+    if (fetchMode !== null && !STRICT_ORIGIN_FETCH_MODES.has(fetchMode.trim().toLowerCase())) {
+        return { error: `Sec-Fetch-Mode: ${fetchMode} is not accepted` };
+    }
+
+    return { origin, source };
+}
+
+// Access decision for a dry run, with the legacy list matches for context
+function describeAccessDecision(accessDecision, targetUrl, originHeader, config) {
+    const blacklistMatch = findMatchingPattern(targetUrl, config.blacklistUrls);
+    const whitelistMatch =
+        typeof originHeader === "string"
+            ? findMatchingPattern(originHeader, config.whitelistOrigins)
+            : "(no Origin header - always allowed)";
+
+    return {
+        ...accessDecision,
+        blacklist: { target: targetUrl, matchedPattern: blacklistMatch },
+        whitelist: { origin: originHeader || null, matchedPattern: whitelistMatch }
+    };
+}
+
+// Header values that are masked in dry-run output
+const MASKED_HEADER_PATTERN = /^(authorization|proxy-authorization|cookie|x-api-key|api-key|x-cors-api-key)$|token|secret|password|session/i;
+
+function maskSensitiveHeaders(headers, alwaysMasked = []) {
+    const alwaysMaskedNames = new Set(alwaysMasked.map(name => name.toLowerCase()));
+    const maskedHeaders = {};
+    for (const [key, value] of new Headers(headers).entries()) {
+        maskedHeaders[key] =
+            MASKED_HEADER_PATTERN.test(key) || alwaysMaskedNames.has(key) ? "***" : value;
+    }
+    return maskedHeaders;
+}
+
+function createTargetSafetyError(url, reason) {
+    const error = new Error(`Target URL blocked (${reason}): ${url}`);
+    error.targetSafetyViolation = true;
+    return error;
+}
+
+// A redirect hop (or a backup's final URL) that BLACKLIST_URLS / ACCESS_RULES don't allow
+function createAccessDeniedError(url, accessDecision) {
+    const error = new Error(`Redirect to ${url} denied by access rule ${accessDecision.rule}`);
+    error.accessDecision = {
+        ...accessDecision,
+        reason: `redirect to ${url}: ${accessDecision.reason}`
+    };
+    return error;
+}
+
+function createRedirectRejectedError(url, location) {
+    const error = new Error(`Upstream redirected with redirect=error: ${url} -> ${location}`);
+    error.redirectRejected = true;
+    return error;
+}
+
+function createUpstreamTimeoutError(message) {
+    const error = new Error(message);
+    error.upstreamTimeout = true;
+    return error;
+}
+
+/**
+ * Call startRequest(signal) and reject with an upstream timeout error if it hasn't resolved
+ * after timeoutMs (0 = no timeout). The request is aborted on timeout, and also whenever
+ * parentSignal aborts (e.g. the losing side of a hedged race).
+ */
+function runWithTimeout(startRequest, timeoutMs, parentSignal) {
+    if (!timeoutMs) {
+        return startRequest(parentSignal);
+    }
+
+    const controller = new AbortController();
+    const abortFromParent = () => controller.abort();
+    if (parentSignal) {
+        parentSignal.addEventListener("abort", abortFromParent);
+    }
+
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => {
+            controller.abort();
+            reject(createUpstreamTimeoutError(`Upstream attempt timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
+    return Promise.race([startRequest(controller.signal), timeout]).finally(() => {
+        clearTimeout(timeoutId);
+        if (parentSignal) {
+            parentSignal.removeEventListener("abort", abortFromParent);
+        }
+    });
+}
+
+/**
+ * Run startPrimary, and if it hasn't settled after hedgeDelayMs, race startHedge against it.
+ *
+ * Both starters receive an AbortSignal. The first settled result accepted by isAcceptable wins
+ * and the other request is aborted. If neither is acceptable the primary result is the winner.
+ * Settled results are {value} or {error}; a side that was aborted before settling is null.
+ */
+async function raceWithHedge(startPrimary, startHedge, hedgeDelayMs, isAcceptable) {
+    const settle = (promise, side) =>
+        promise.then(
+            value => ({ side, value }),
+            error => ({ side, error })
+        );
+    const discard = settled => {
+        if (settled && settled.value && settled.value.response.body) {
+            settled.value.response.body.cancel();
+        }
+    };
+    const isAcceptableResult = settled => !settled.error && isAcceptable(settled.value);
+
+    const primaryController = new AbortController();
+    const primary = settle(startPrimary(primaryController.signal), "primary");
+
+    let hedgeTimer;
+    const hedgeDelay = new Promise(resolve => {
+        hedgeTimer = setTimeout(() => resolve(null), hedgeDelayMs);
+    });
+    const earlyResult = await Promise.race([primary, hedgeDelay]);
+    clearTimeout(hedgeTimer);
+    if (earlyResult) {
+        return { hedged: false, winner: "primary", primary: earlyResult, hedge: null };
+    }
+
+    const hedgeStartedAt = Date.now();
+    const hedgeController = new AbortController();
+    const hedge = settle(startHedge(hedgeController.signal), "hedge");
+    const controllers = { primary: primaryController, hedge: hedgeController };
+    const pending = { primary, hedge };
+
+    const firstResult = await Promise.race([primary, hedge]);
+    const otherSide = firstResult.side === "primary" ? "hedge" : "primary";
+    if (isAcceptableResult(firstResult)) {
+        controllers[otherSide].abort();
+        pending[otherSide].then(discard);
+        return {
+            hedged: true,
+            winner: firstResult.side,
+            hedgeStartedAt,
+            primary: firstResult.side === "primary" ? firstResult : null,
+            hedge: firstResult.side === "hedge" ? firstResult : null
+        };
+    }
+
+    const secondResult = await pending[otherSide];
+    const results = { [firstResult.side]: firstResult, [otherSide]: secondResult };
+    if (isAcceptableResult(secondResult)) {
+        discard(firstResult);
+        return { hedged: true, winner: otherSide, hedgeStartedAt, ...results };
+    }
+
+    discard(results.hedge);
+    return { hedged: true, winner: "primary", hedgeStartedAt, ...results };
+}
+
+/**
+ * Fetch a request while following redirects manually, so every hop can be re-checked
+ * with checkTargetSafety before the worker connects to it.
+ *
+ * Redirect semantics follow the Fetch spec: 303 (and 301/302 after POST) switch to GET
+ * without a body, 307/308 replay the method and body. Credentials are dropped when a
+ * redirect crosses origins. With accessCheck ({ origin, config }), every hop must also pass
+ * evaluateAccess for that origin and the hop's method, like the first URL did.
+ *
+ * Redirect modes (?redirect=):
+ * - follow: follow up to maxRedirects hops (default)
+ * - manual: return the first 3xx response as-is
+ * - error: reject any redirect
+ *
+ * @param {string} url - Initial URL
+ * @param {Object} init - Request init (method, headers, body)
+ * @param {Object} options - { safetyExceptions, redirectMode, maxRedirects, credentialHeaders,
+ *   accessCheck }
+ * @returns {Promise<{response: Response, finalUrl: string, redirectCount: number}>}
+ */
+async function fetchWithRedirectChecks(url, init, options) {
+    const {
+        safetyExceptions,
+        redirectMode = "follow",
+        maxRedirects = DEFAULT_MAX_REDIRECTS,
+        credentialHeaders = [],
+        accessCheck = null
+    } = options;
+    let currentUrl = url;
+    let method = init.method;
+    let headers = new Headers(init.headers);
+    let body = init.body;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        const response = await fetch(
+            new Request(currentUrl, {
+                method,
+                headers,
+                body,
+                redirect: "manual",
+                signal: init.signal
+            })
+        );
+
+        const location = response.headers.get("location");
+        if (!REDIRECT_STATUS_CODES.has(response.status) || !location || redirectMode === "manual") {
+            return { response, finalUrl: currentUrl, redirectCount: hop };
+        }
+
+        if (response.body) {
+            response.body.cancel();
+        }
+
+        if (redirectMode === "error") {
+            throw createRedirectRejectedError(currentUrl, location);
+        }
+
+        if (hop === maxRedirects) {
+            throw new Error(`Too many redirects (more than ${maxRedirects})`);
+        }
+
+        const nextUrl = new URL(location, currentUrl).href;
+        const isAbsoluteLocation = /^[a-z][a-z0-9+.-]*:/i.test(location.trim());
+        const safety = checkTargetSafety(
+            isAbsoluteLocation ? location.trim() : nextUrl,
+            safetyExceptions
+        );
+        if (!safety.allowed) {
+            throw createTargetSafetyError(nextUrl, `redirect to ${safety.reason}`);
+        }
+
+        if (
+            response.status === 303 ||
+            ((response.status === 301 || response.status === 302) && method === "POST")
+        ) {
+            if (method !== "HEAD") {
+                method = "GET";
+            }
+            body = null;
+            headers.delete("content-type");
+            headers.delete("content-length");
+        }
+
+        if (accessCheck) {
+            const accessDecision = evaluateAccess(
+                nextUrl,
+                accessCheck.origin,
+                method,
+                accessCheck.config
+            );
+            if (!accessDecision.allowed) {
+                throw createAccessDeniedError(nextUrl, accessDecision);
+            }
+        }
+
+        if (new URL(nextUrl).origin !== new URL(currentUrl).origin) {
+            headers.delete("authorization");
+            headers.delete("proxy-authorization");
+            headers.delete("cookie");
+            credentialHeaders.forEach(name => headers.delete(name));
+        }
+
+        currentUrl = nextUrl;
+    }
+
+    // Unreachable: the loop either returns or throws
+    throw new Error(`Too many redirects (more than ${maxRedirects})`);
+}
+
+/**
+ * Check if a response should be streamed instead of buffered
+ * Detects Server-Sent Events (SSE), chunked transfer encoding, and streaming content types
+ * Supports AI model streaming APIs (OpenAI, Anthropic, etc.)
+ *
+ * @param {Response} response - The response to check
+ * @param {Request} request - The original request (to check Accept headers and URL)
+ * @param {string} targetUrl - The target URL being proxied (to check for streaming parameters)
+ * @returns {boolean} - True if the response should be streamed
+ */
+function shouldStreamResponse(response, request, targetUrl) {
+    // Skip streaming for preflight requests
+    if (request.method === "OPTIONS") {
+        return false;
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    const transferEncoding = response.headers.get("transfer-encoding") || "";
+    const acceptHeader = request.headers.get("accept") || "";
+
+    // Check for Server-Sent Events (SSE) - common for AI streaming APIs
+    if (contentType.includes("text/event-stream")) {
+        return true;
+    }
+
+    // Check for chunked transfer encoding
+    if (transferEncoding.toLowerCase().includes("chunked")) {
+        return true;
+    }
+
+    // Check if client requested streaming (text/event-stream or streaming indicators)
+    if (acceptHeader.includes("text/event-stream")) {
+        return true;
+    }
+
+    // Check URL for streaming parameters (common in AI APIs)
+    if (targetUrl) {
+        try {
+            const url = new URL(targetUrl);
+            const streamParam = url.searchParams.get("stream");
+            if (streamParam === "true" || streamParam === "1") {
+                return true;
+            }
+        } catch (e) {
+            // If URL parsing fails, continue with other checks
+        }
+    }
+
+    // Check request body for streaming flags (for POST requests with JSON body)
+    // Note: This is a heuristic - we can't read the body without consuming it,
+    // so we check common patterns in headers
+    const contentEncoding = response.headers.get("content-encoding") || "";
+    if (contentEncoding.includes("chunked")) {
+        return true;
+    }
+
+    // Check for common AI streaming API content types
+    // OpenAI streaming: text/plain or text/event-stream
+    // Anthropic streaming: text/event-stream or application/x-ndjson
+    // Other APIs may use application/json with chunked encoding
+    if (contentType.includes("application/x-ndjson")) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Validate a CACHE_POLICY object, e.g.
+ *   {"enabled":true,"defaultTtl":60,"maxTtl":3600,"staleWhileRevalidate":30,"varyHeaders":["accept"]}
+ * Omitted fields keep their defaults; providing the object without "enabled" turns caching on.
+ */
+function normalizeCachePolicy(rawCachePolicy) {
+    if (!rawCachePolicy || typeof rawCachePolicy !== "object" || Array.isArray(rawCachePolicy)) {
+        throw new Error("CACHE_POLICY must be a JSON object");
+    }
+
+    const cachePolicy = { ...DEFAULT_CACHE_POLICY, enabled: true, ...rawCachePolicy };
+    for (const field of ["defaultTtl", "maxTtl", "staleWhileRevalidate"]) {
+        if (!Number.isInteger(cachePolicy[field]) || cachePolicy[field] < 0) {
+            throw new Error(`CACHE_POLICY.${field} must be a non-negative integer`);
+        }
+    }
+
+    if (
+        !Array.isArray(cachePolicy.varyHeaders) ||
+        cachePolicy.varyHeaders.some(header => typeof header !== "string")
+    ) {
+        throw new Error("CACHE_POLICY.varyHeaders must be an array of header names");
+    }
+
+    return {
+        enabled: cachePolicy.enabled === true,
+        defaultTtl: cachePolicy.defaultTtl,
+        maxTtl: cachePolicy.maxTtl,
+        staleWhileRevalidate: cachePolicy.staleWhileRevalidate,
+        varyHeaders: cachePolicy.varyHeaders.map(header => header.trim().toLowerCase()),
+        allowClientOverride: cachePolicy.allowClientOverride === true
+    };
+}
+
+/**
+ * Validate a CORS_POLICY array of rules, e.g.
+ *   [{"origins":["^https://app\\.example\\.com$"],"allowedMethods":["GET","POST"],
+ *     "allowedHeaders":["Content-Type"],"allowCredentials":false,"maxAge":600,
+ *     "exposeHeaders":["ETag"],"allowPrivateNetwork":true}]
+ * The first rule whose origin pattern matches applies; omitted fields keep DEFAULT_CORS_RULE.
+ * "*" for methods, headers or expose headers keeps the reflecting / expose-all behaviour.
+ */
+function normalizeCorsPolicy(rawCorsPolicy) {
+    if (!Array.isArray(rawCorsPolicy)) {
+        throw new Error("CORS_POLICY must be a JSON array of rules");
+    }
+
+    return rawCorsPolicy.map((rawRule, index) => {
+        const field = name => `CORS_POLICY[${index}].${name}`;
+        if (!rawRule || typeof rawRule !== "object" || Array.isArray(rawRule)) {
+            throw new Error(`CORS_POLICY[${index}] must be an object`);
+        }
+
+        const rule = { ...DEFAULT_CORS_RULE, ...rawRule };
+        if (
+            !Array.isArray(rule.origins) ||
+            rule.origins.length === 0 ||
+            rule.origins.some(pattern => typeof pattern !== "string")
+        ) {
+            throw new Error(`${field("origins")} must be a non-empty array of regex strings`);
+        }
+        rule.origins.forEach(pattern => {
+            try {
+                new RegExp(pattern);
+            } catch (e) {
+                throw new Error(`${field("origins")} has an invalid regex`);
+            }
+        });
+
+        for (const name of ["allowedMethods", "allowedHeaders", "exposeHeaders"]) {
+            if (
+                rule[name] !== "*" &&
+                !(Array.isArray(rule[name]) && rule[name].every(value => typeof value === "string"))
+            ) {
+                throw new Error(`${field(name)} must be "*" or an array of strings`);
+            }
+        }
+        for (const name of ["allowCredentials", "allowPrivateNetwork"]) {
+            if (typeof rule[name] !== "boolean") {
+                throw new Error(`${field(name)} must be true or false`);
+            }
+        }
+        if (!Number.isInteger(rule.maxAge) || rule.maxAge < 0) {
+            throw new Error(`${field("maxAge")} must be a non-negative integer`);
+        }
+
+        return {
+            origins: rule.origins,
+            allowedMethods:
+                rule.allowedMethods === "*"
+                    ? "*"
+                    : rule.allowedMethods.map(method => method.trim().toUpperCase()),
+            allowedHeaders:
+                rule.allowedHeaders === "*"
+                    ? "*"
+                    : rule.allowedHeaders.map(header => header.trim()),
+            allowCredentials: rule.allowCredentials,
+            maxAge: rule.maxAge,
+            exposeHeaders:
+                rule.exposeHeaders === "*"
+                    ? "*"
+                    : rule.exposeHeaders.map(header => header.trim().toLowerCase()),
+            allowPrivateNetwork: rule.allowPrivateNetwork
+        };
+    });
+}
+
+// CORS_POLICY rule for a request Origin: DEFAULT_CORS_RULE without a policy (or without Origin),
+// DENIED_CORS_RULE when a policy is set and none of its rules matches
+function findCorsRule(origin, corsPolicy) {
+    if (typeof origin !== "string" || corsPolicy.length === 0) {
+        return DEFAULT_CORS_RULE;
+    }
+    return (
+        corsPolicy.find(rule => rule.origins.some(pattern => origin.match(pattern) !== null)) ||
+        DENIED_CORS_RULE
+    );
+}
+
+// Add names to Vary, keeping whatever the upstream response already varies on
+function appendVaryHeader(headers, names) {
+    const current = (headers.get("Vary") || "").trim();
+    if (current === "*") {
+        return;
+    }
+
+    const values = current ? current.split(",").map(value => value.trim()) : [];
+    names.forEach(name => {
+        if (!values.some(value => value.toLowerCase() === name.toLowerCase())) {
+            values.push(name);
+        }
+    });
+    headers.set("Vary", values.filter(Boolean).join(", "));
+}
+
+function parseCacheControl(headerValue) {
+    const directives = {};
+    for (const part of (headerValue || "").split(",")) {
+        const [rawName, ...rawValue] = part.split("=");
+        const name = rawName.trim().toLowerCase();
+        if (name) {
+            directives[name] =
+                rawValue.length > 0
+                    ? rawValue
+                          .join("=")
+                          .trim()
+                          .replace(/^"|"$/g, "")
+                    : true;
+        }
+    }
+    return directives;
+}
+
+/**
+ * Read a client-requested cache TTL from ?cache=<seconds> or the x-cors-cache-ttl header.
+ * Returns null when the client did not ask for one.
+ */
+function getClientCacheTtl(request, originUrl) {
+    const rawTtl =
+        originUrl.searchParams.get("cache") ?? request.headers.get(CACHE_TTL_HEADER_NAME);
+    if (rawTtl === null || rawTtl === "") {
+        return null;
+    }
+
+    const ttl = Number.parseInt(rawTtl, 10);
+    return Number.isInteger(ttl) && ttl >= 0 ? ttl : null;
+}
+
+/**
+ * Work out how long an upstream response may be cached at the edge.
+ *
+ * Never cached: non-cacheable status, Set-Cookie, Cache-Control private/no-store.
+ * Otherwise TTL = client override > s-maxage > max-age > Expires > defaultTtl (no-cache = 0),
+ * capped at maxTtl. Returns 0 when the response must not be stored.
+ */
+function getEdgeCacheTtl(response, cachePolicy, clientTtl) {
+    if (!CACHEABLE_STATUS_CODES.has(response.status) || response.headers.has("set-cookie")) {
+        return 0;
+    }
+
+    const directives = parseCacheControl(response.headers.get("cache-control"));
+    if (directives["private"] || directives["no-store"]) {
+        return 0;
+    }
+
+    let ttl = cachePolicy.defaultTtl;
+    if (clientTtl !== null) {
+        ttl = clientTtl;
+    } else if (directives["no-cache"]) {
+        ttl = 0;
+    } else if (directives["s-maxage"] !== undefined || directives["max-age"] !== undefined) {
+        ttl = Number.parseInt(directives["s-maxage"] ?? directives["max-age"], 10) || 0;
+    } else if (response.headers.has("expires")) {
+        const expiresMs = Date.parse(response.headers.get("expires"));
+        const dateMs = Date.parse(response.headers.get("date")) || Date.now();
+        ttl = Number.isNaN(expiresMs) ? 0 : Math.floor((expiresMs - dateMs) / 1000);
+    }
+
+    return Math.max(0, Math.min(ttl, cachePolicy.maxTtl));
+}
+
+/**
+ * Build the Cache API key for a proxied request: the normalized target URL (sorted query,
+ * no fragment), the requesting Origin, the configured vary headers and any x-cors-headers
+ * (sorted, lowercased names), hashed under the worker's own origin.
+ */
+async function buildEdgeCacheKey(originUrl, targetUrl, request, varyHeaders, customHeaders) {
+    const normalizedTarget = new URL(targetUrl);
+    normalizedTarget.hash = "";
+    normalizedTarget.searchParams.sort();
+
+    const varyParts = ["origin", ...varyHeaders].map(
+        header => `${header}:${request.headers.get(header) || ""}`
+    );
+    // Headers a client injects change the upstream response just like vary headers do
+    const customParts =
+        customHeaders !== null && typeof customHeaders === "object"
+            ? Object.entries(customHeaders)
+                  .map(([name, value]) => `x-cors-headers.${name.toLowerCase()}:${value}`)
+                  .sort()
+            : [];
+    const keyHash = await sha256Hex(
+        [normalizedTarget.href, ...varyParts, ...customParts].join("\n")
+    );
+    return new Request(`${originUrl.origin}/__cors-cache/${keyHash}`, { method: "GET" });
+}
+
+/**
+ * Store a buffered upstream response in caches.default.
+ * The entry is kept for ttl + staleWhileRevalidate; freshness is tracked via metadata headers
+ * because the Cache API never returns entries past their max-age.
+ */
+async function storeEdgeCacheEntry(cacheKey, response, responseBody, ttl, cachePolicy, finalUrl) {
+    const storedHeaders = new Headers(response.headers);
+    storedHeaders.set(
+        `${CACHE_METADATA_HEADER_PREFIX}upstream-cache-control`,
+        response.headers.get("cache-control") || ""
+    );
+    storedHeaders.set(`${CACHE_METADATA_HEADER_PREFIX}stored-at`, String(Date.now()));
+    storedHeaders.set(`${CACHE_METADATA_HEADER_PREFIX}ttl`, String(ttl));
+    storedHeaders.set(`${CACHE_METADATA_HEADER_PREFIX}final-url`, finalUrl || "");
+    storedHeaders.set("Cache-Control", `public, max-age=${ttl + cachePolicy.staleWhileRevalidate}`);
+
+    await caches.default.put(
+        cacheKey,
+        new Response(responseBody, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: storedHeaders
+        })
+    );
+}
+
+/**
+ * Look up a cached entry. Returns null on miss, otherwise
+ * { response, body, finalUrl, ageSeconds, stale } with the upstream headers restored.
+ */
+async function readEdgeCacheEntry(cacheKey) {
+    const cachedResponse = await caches.default.match(cacheKey);
+    if (!cachedResponse) {
+        return null;
+    }
+
+    const storedAt = Number(cachedResponse.headers.get(`${CACHE_METADATA_HEADER_PREFIX}stored-at`));
+    const ttl = Number(cachedResponse.headers.get(`${CACHE_METADATA_HEADER_PREFIX}ttl`));
+    const upstreamCacheControl = cachedResponse.headers.get(
+        `${CACHE_METADATA_HEADER_PREFIX}upstream-cache-control`
+    );
+    const finalUrl = cachedResponse.headers.get(`${CACHE_METADATA_HEADER_PREFIX}final-url`);
+
+    const restoredHeaders = new Headers(cachedResponse.headers);
+    for (const key of Array.from(restoredHeaders.keys())) {
+        if (key.startsWith(CACHE_METADATA_HEADER_PREFIX)) {
+            restoredHeaders.delete(key);
+        }
+    }
+    if (upstreamCacheControl) {
+        restoredHeaders.set("Cache-Control", upstreamCacheControl);
+    } else {
+        restoredHeaders.delete("Cache-Control");
+    }
+
+    const ageSeconds = Math.max(0, Math.floor((Date.now() - storedAt) / 1000));
+    return {
+        response: {
+            status: cachedResponse.status,
+            statusText: cachedResponse.statusText,
+            headers: restoredHeaders
+        },
+        body: await cachedResponse.arrayBuffer(),
+        finalUrl: finalUrl || null,
+        ageSeconds,
+        stale: !Number.isFinite(ttl) || ageSeconds >= ttl
+    };
+}
+
+// Request headers whose values are part of the edge cache key (see buildEdgeCacheKey)
+function getEdgeCacheKeyHeaders(varyHeaders, customHeaders) {
+    const customHeaderNames =
+        customHeaders !== null && typeof customHeaders === "object"
+            ? Object.keys(customHeaders).map(name => name.toLowerCase())
+            : [];
+    return new Set(["origin", ...varyHeaders, ...customHeaderNames]);
+}
+
+// Whether every header an upstream Vary names is covered by the cache key (Vary: * never is)
+function isVaryCoveredByCacheKey(response, keyHeaders) {
+    return (response.headers.get("vary") || "")
+        .split(",")
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .every(name => keyHeaders.has(name) || CACHE_IGNORED_VARY_HEADERS.has(name));
+}
+
+// Close codes that are reserved for the runtime and must not be sent in a close frame
+const RESERVED_WEBSOCKET_CLOSE_CODES = new Set([1005, 1006, 1015]);
+
+function getSendableCloseCode(code) {
+    if (!Number.isInteger(code) || RESERVED_WEBSOCKET_CLOSE_CODES.has(code)) {
+        return 1000;
+    }
+    return code >= 1000 && code < 5000 ? code : 1000;
+}
+
+// Handshake headers the worker sets itself on the upstream upgrade request
+const WEBSOCKET_HANDSHAKE_HEADER_PATTERN = /^(upgrade|connection|sec-websocket-.*)$/i;
+
+function isWebSocketUpgradeRequest(request) {
+    return (request.headers.get("Upgrade") || "").toLowerCase() === "websocket";
+}
+
+/**
+ * Bridge a client WebSocket to an upstream ws:// or wss:// target with a WebSocketPair.
+ *
+ * The subprotocol list (Sec-WebSocket-Protocol) and x-cors-headers are forwarded upstream and
+ * the upstream's chosen subprotocol is returned to the client; x-cors-headers can't set the
+ * handshake headers (Upgrade, Connection, Sec-WebSocket-*). Messages are relayed in both
+ * directions; the bridge is closed after idleTimeoutMs without traffic or after maxDurationMs.
+ * Throws if the upstream does not accept the upgrade within connectTimeoutMs.
+ *
+ * @param {Request} request - Client upgrade request
+ * @param {string} targetUrl - ws:// or wss:// target (already validated)
+ * @param {Object|null} customHeaders - Parsed x-cors-headers
+ * @param {Object} options - { connectTimeoutMs, idleTimeoutMs, maxDurationMs, upstreamCredential }
+ * @returns {Promise<Response>} 101 response carrying the client socket
+ */
+async function proxyWebSocket(
+    request,
+    targetUrl,
+    customHeaders,
+    { connectTimeoutMs, idleTimeoutMs, maxDurationMs, upstreamCredential = null }
+) {
+    let upstreamUrl = targetUrl.replace(/^ws(s?):/i, "http$1:");
+    if (upstreamCredential) {
+        upstreamUrl = addUpstreamCredentialQuery(upstreamUrl, upstreamCredential);
+    }
+    const upstreamHeaders = new Headers();
+    if (customHeaders !== null && typeof customHeaders === "object") {
+        for (const [key, value] of Object.entries(customHeaders)) {
+            if (!WEBSOCKET_HANDSHAKE_HEADER_PATTERN.test(key)) {
+                upstreamHeaders.set(key, String(value));
+            }
+        }
+    }
+
+    upstreamHeaders.set("Upgrade", "websocket");
+    const requestedProtocols = request.headers.get("Sec-WebSocket-Protocol");
+    if (requestedProtocols) {
+        upstreamHeaders.set("Sec-WebSocket-Protocol", requestedProtocols);
+    }
+
+    if (upstreamCredential) {
+        for (const [name, value] of Object.entries(upstreamCredential.headers)) {
+            upstreamHeaders.set(name, value);
+        }
+    }
+
+    // Upgrades are never redirected: a 3xx could point past the target safety checks
+    const upstreamResponse = await runWithTimeout(
+        signal => fetch(upstreamUrl, { headers: upstreamHeaders, redirect: "manual", signal }),
+        connectTimeoutMs
+    );
+    if (REDIRECT_STATUS_CODES.has(upstreamResponse.status)) {
+        throw new Error(
+            `upstream redirected the WebSocket upgrade (${upstreamResponse.status}); redirects are not followed`
+        );
+    }
+    const upstreamSocket = upstreamResponse.webSocket;
+    if (!upstreamSocket) {
+        throw new Error(
+            `upstream did not accept the WebSocket upgrade (${upstreamResponse.status})`
+        );
+    }
+
+    const [clientSocket, serverSocket] = Object.values(new WebSocketPair());
+    upstreamSocket.accept();
+    serverSocket.accept();
+
+    let closed = false;
+    let idleTimer = null;
+    let maxDurationTimer = null;
+
+    const closeBridge = (code, reason) => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        clearTimeout(idleTimer);
+        clearTimeout(maxDurationTimer);
+
+        for (const socket of [serverSocket, upstreamSocket]) {
+            try {
+                socket.close(getSendableCloseCode(code), reason);
+            } catch (e) {
+                // Socket already closed
+            }
+        }
+    };
+
+    const resetIdleTimer = () => {
+        if (idleTimeoutMs > 0) {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => closeBridge(1000, "idle timeout"), idleTimeoutMs);
+        }
+    };
+
+    if (maxDurationMs > 0) {
+        maxDurationTimer = setTimeout(
+            () => closeBridge(1000, "maximum connection duration reached"),
+            maxDurationMs
+        );
+    }
+    resetIdleTimer();
+
+    const relay = (source, destination) => {
+        source.addEventListener("message", event => {
+            resetIdleTimer();
+            try {
+                destination.send(event.data);
+            } catch (error) {
+                closeBridge(1011, "relay failed");
+            }
+        });
+        source.addEventListener("close", event => closeBridge(event.code, event.reason));
+        source.addEventListener("error", () => closeBridge(1011, "upstream error"));
+    };
+
+    relay(serverSocket, upstreamSocket);
+    relay(upstreamSocket, serverSocket);
+
+    const responseHeaders = new Headers();
+    const acceptedProtocol = upstreamResponse.headers.get("Sec-WebSocket-Protocol");
+    if (acceptedProtocol) {
+        responseHeaders.set("Sec-WebSocket-Protocol", acceptedProtocol);
+    }
+
+    return new Response(null, {
+        status: 101,
+        webSocket: clientSocket,
+        headers: responseHeaders
+    });
+}
+
+// Replace query values (except the {url} placeholder) and userinfo so backup secrets never leak
+function redactBackupTemplate(template) {
+    const placeholder = "__CORS_TARGET_URL__";
+    try {
+        const url = new URL(template.replace(/\{url\}|%7Burl%7D/gi, placeholder));
+        const search = Array.from(url.searchParams.entries())
+            .map(([key, value]) => `${key}=${value === placeholder ? placeholder : "***"}`)
+            .join("&");
+        const userInfo = url.username || url.password ? "***@" : "";
+        return `${url.protocol}//${userInfo}${url.host}${url.pathname}${
+            search ? `?${search}` : ""
+        }`.replace(new RegExp(placeholder, "g"), "{url}");
+    } catch (e) {
+        return "[invalid backup template]";
+    }
+}
+
+// ?debug=1|true -> X-Cors-Trace header, ?debug=json -> JSON envelope, absent -> null
+function parseDebugMode(debugParam) {
+    if (debugParam === null) {
+        return null;
+    }
+
+    const normalizedParam = debugParam.trim().toLowerCase();
+    if (normalizedParam === "1" || normalizedParam === "true" || normalizedParam === "header") {
+        return "header";
+    }
+    return normalizedParam === "json" ? "json" : "invalid";
+}
+
+// JSON.stringify, with non-ASCII escaped so the result is a valid header value
+function toHeaderSafeJson(value) {
+    return JSON.stringify(value).replace(
+        /[\u007f-\uffff]/g,
+        character =>
+            `\\u${character
+                .charCodeAt(0)
+                .toString(16)
+                .padStart(4, "0")}`
+    );
+}
+
+/**
+ * Attach an upstream trace to a proxy response.
+ *
+ * header mode adds X-Cors-Trace (exposed to scripts); json mode replaces the response with
+ * {status, statusText, headers, body, bodyEncoding, trace} and a 200 status, so the trace
+ * is readable even for upstream errors. Binary bodies are base64-encoded in json mode.
+ * setupCORSHeaders is the request's CORS header helper, applied to the envelope.
+ */
+async function applyDebugTrace(response, debugMode, trace, setupCORSHeaders) {
+    const completedTrace = { ...trace, cache: response.headers.get("X-Cors-Cache") || null };
+
+    if (debugMode === "header") {
+        response.headers.set("X-Cors-Trace", toHeaderSafeJson(completedTrace));
+        const exposedHeaders = response.headers.get("Access-Control-Expose-Headers");
+        response.headers.set(
+            "Access-Control-Expose-Headers",
+            exposedHeaders ? `${exposedHeaders},X-Cors-Trace` : "X-Cors-Trace"
+        );
+        return response;
+    }
+
+    const contentType = (response.headers.get("content-type") || "").toLowerCase();
+    const isTextBody = /^text\/|json|xml|javascript|x-www-form-urlencoded/.test(contentType);
+    const bodyBytes = new Uint8Array(await response.arrayBuffer());
+    let body;
+    if (isTextBody || bodyBytes.length === 0) {
+        body = new TextDecoder().decode(bodyBytes);
+    } else {
+        let binary = "";
+        for (let offset = 0; offset < bodyBytes.length; offset += 0x8000) {
+            binary += String.fromCharCode(...bodyBytes.subarray(offset, offset + 0x8000));
+        }
+        body = btoa(binary);
+    }
+
+    const envelopeHeaders = new Headers({ "Content-Type": "application/json; charset=utf-8" });
+    setupCORSHeaders(envelopeHeaders);
+
+    return new Response(
+        JSON.stringify(
+            {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body,
+                bodyEncoding: isTextBody || bodyBytes.length === 0 ? "text" : "base64",
+                trace: completedTrace
+            },
+            null,
+            2
+        ),
+        { status: 200, headers: envelopeHeaders }
+    );
+}
+
+// Constant-time comparison of a presented secret against configured ones (digests have a
+// fixed length, so neither the secrets' length nor content leaks through timing)
+async function matchesSecretToken(candidate, tokens) {
+    const candidateDigest = await sha256Hex(candidate.trim());
+    let matched = false;
+    for (const token of tokens) {
+        const tokenDigest = await sha256Hex(token.trim());
+        let difference = 0;
+        for (let index = 0; index < tokenDigest.length; index++) {
+            difference |= tokenDigest.charCodeAt(index) ^ candidateDigest.charCodeAt(index);
+        }
+        matched = matched || difference === 0;
+    }
+    return matched;
+}
+
+// "Authorization: Bearer <ADMIN_TOKEN>"
+async function isAdminRequestAuthorized(request, env) {
+    const adminToken = typeof env?.ADMIN_TOKEN === "string" ? env.ADMIN_TOKEN.trim() : "";
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.get("Authorization") || "");
+    if (!adminToken || !match) {
+        return false;
+    }
+    return matchesSecretToken(match[1], [adminToken]);
+}
+
+// ?domain=example.com (or a full URL) -> URL accepted by the preferred backup helpers
+function parseAdminDomain(rawDomain) {
+    const domain = typeof rawDomain === "string" ? rawDomain.trim() : "";
+    if (!domain) {
+        return null;
+    }
+
+    try {
+        const url = new URL(/^https?:\/\//i.test(domain) ? domain : `https://${domain}`);
+        return `${url.protocol}//${url.hostname}/`;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ?backup=<index from GET /__admin/backups> -> normalized backup server entry
+function parseAdminBackupIndex(rawIndex, config) {
+    const index = Number(rawIndex);
+    return rawIndex !== null && Number.isInteger(index) ? config.backupCorsServers[index] : null;
+}
+
+function describeBackupServerForAdmin(server, index, disabledBackups) {
+    return {
+        index,
+        backup: redactBackupTemplate(server.template),
+        headers: Object.fromEntries(Object.keys(server.headers || {}).map(name => [name, "***"])),
+        weight: server.weight,
+        priority: server.priority,
+        disabled: disabledBackups[server.template] || null
+    };
+}
+
+/**
+ * Handle /__admin routes (ADMIN_TOKEN required). Returns { status, body } for a JSON response.
+ *
+ *   GET    /__admin/preferred[?domain=]            list preferred backups (or one domain's)
+ *   PUT    /__admin/preferred?domain=&backup=      pin a backup for a domain
+ *   DELETE /__admin/preferred?domain=              clear a domain's preferred backup
+ *   GET    /__admin/config                         effective config (secrets redacted)
+ *   GET    /__admin/backups                        backups with their index and disabled state
+ *   PUT    /__admin/backups/disabled?backup=&minutes=&reason=   skip a backup for a while
+ *   DELETE /__admin/backups/disabled?backup=       re-enable a backup
+ *   GET    /__admin/sign?target=&method=&expiresIn=&...  signed proxy URL (SIGNING_SECRET); other
+ *                                                 parameters are signed into it (e.g. redirect=)
+ */
+async function handleAdminRequest(request, env, config, originUrl, logger) {
+    if (!env?.ADMIN_TOKEN) {
+        return { status: 404, body: { error: "Admin API disabled (ADMIN_TOKEN not set)" } };
+    }
+    if (!(await isAdminRequestAuthorized(request, env))) {
+        return { status: 401, body: { error: "Invalid or missing admin token" } };
+    }
+
+    const route = originUrl.pathname.replace(/\/+$/, "");
+    const method = request.method;
+    const params = originUrl.searchParams;
+    const routeNotAllowed = { status: 405, body: { error: `${method} not allowed on ${route}` } };
+
+    if (route === "/__admin/preferred") {
+        const domainUrl = parseAdminDomain(params.get("domain"));
+        if (params.has("domain") && !domainUrl) {
+            return { status: 400, body: { error: "Invalid domain" } };
+        }
+
+        if (method === "GET") {
+            if (domainUrl) {
+                const backupServer = await getPreferredBackupServer(env, domainUrl, logger);
+                return {
+                    status: 200,
+                    body: {
+                        scope: getPreferredBackupScope(domainUrl),
+                        backup: backupServer ? redactBackupTemplate(backupServer) : null
+                    }
+                };
+            }
+
+            const listing = await listPreferredBackupServers(env, 1000);
+            if (!listing) {
+                return { status: 503, body: { error: "BACKUP_SERVER_CACHE binding missing" } };
+            }
+            return {
+                status: 200,
+                body: {
+                    entries: listing.entries.map(entry => ({
+                        scope: entry.scope,
+                        backup: redactBackupTemplate(entry.backupServer),
+                        index: config.backupCorsServers.findIndex(
+                            server => server.template === entry.backupServer
+                        )
+                    })),
+                    truncated: listing.truncated
+                }
+            };
+        }
+
+        if (!domainUrl) {
+            return { status: 400, body: { error: "domain is required" } };
+        }
+        const scope = getPreferredBackupScope(domainUrl);
+
+        if (method === "PUT") {
+            const server = parseAdminBackupIndex(params.get("backup"), config);
+            if (!server) {
+                return {
+                    status: 400,
+                    body: { error: "backup must be an index from /__admin/backups" }
+                };
+            }
+            await setPreferredBackupServer(env, domainUrl, server.template, logger);
+            logger.info("admin.preferred_pinned", {
+                scope,
+                backup: redactBackupTemplate(server.template)
+            });
+            return {
+                status: 200,
+                body: {
+                    scope,
+                    backup: redactBackupTemplate(server.template),
+                    ttlSeconds: PREFERRED_BACKUP_TTL_SECONDS
+                }
+            };
+        }
 
-// Function to check if a given URI or origin is listed in the whitelist or blacklist
-function matchesPatternList(uri, listing) {
-    if (typeof uri === "string") {
-        return listing.some(pattern => uri.match(pattern) !== null);
-    }
-    // When URI is null (e.g., when Origin header is missing), accept null origins
-    return true;
-}
+        if (method === "DELETE") {
+            await clearPreferredBackupServer(env, domainUrl, "cleared via admin API", logger);
+            return { status: 200, body: { scope, backup: null } };
+        }
 
-/**
- * Check if a response should be streamed instead of buffered
- * Detects Server-Sent Events (SSE), chunked transfer encoding, and streaming content types
- * Supports AI model streaming APIs (OpenAI, Anthropic, etc.)
- *
- * @param {Response} response - The response to check
- * @param {Request} request - The original request (to check Accept headers and URL)
- * @param {string} targetUrl - The target URL being proxied (to check for streaming parameters)
- * @returns {boolean} - True if the response should be streamed
- */
-function shouldStreamResponse(response, request, targetUrl) {
-    // Skip streaming for preflight requests
-    if (request.method === "OPTIONS") {
-        return false;
+        return routeNotAllowed;
     }
 
-    const contentType = response.headers.get("content-type") || "";
-    const transferEncoding = response.headers.get("transfer-encoding") || "";
-    const acceptHeader = request.headers.get("accept") || "";
+    if (route === "/__admin/sign") {
+        if (method !== "GET") {
+            return routeNotAllowed;
+        }
+        if (!env.SIGNING_SECRET) {
+            return { status: 400, body: { error: "SIGNING_SECRET not set" } };
+        }
+        if (!params.get("target")) {
+            return { status: 400, body: { error: "target is required" } };
+        }
+        const expiresIn = params.has("expiresIn") ? Number(params.get("expiresIn")) : 3600;
+        if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+            return { status: 400, body: { error: "expiresIn must be a positive integer" } };
+        }
 
-    // Check for Server-Sent Events (SSE) - common for AI streaming APIs
-    if (contentType.includes("text/event-stream")) {
-        return true;
+        const proxyParams = Object.fromEntries(
+            Array.from(params).filter(([name]) => !["target", "method", "expiresIn"].includes(name))
+        );
+
+        try {
+            const signed = await signProxyUrl({
+                proxyOrigin: originUrl.origin,
+                targetUrl: params.get("target"),
+                secret: env.SIGNING_SECRET,
+                method: params.get("method") || "GET",
+                expiresIn,
+                params: proxyParams
+            });
+            logger.info("admin.url_signed", {
+                target: signed.targetUrl,
+                method: signed.method,
+                expiresAt: signed.expiresAt
+            });
+            return {
+                status: 200,
+                body: { ...signed, expiresAt: new Date(signed.expiresAt * 1000).toISOString() }
+            };
+        } catch (error) {
+            return { status: 400, body: { error: `Invalid sign request: ${error.message}` } };
+        }
     }
 
-    // Check for chunked transfer encoding
-    if (transferEncoding.toLowerCase().includes("chunked")) {
-        return true;
+    if (route === "/__admin/config") {
+        if (method !== "GET") {
+            return routeNotAllowed;
+        }
+        return {
+            status: 200,
+            body: {
+                ...config,
+                backupCorsServers: config.backupCorsServers.map((server, index) =>
+                    describeBackupServerForAdmin(server, index, {})
+                ),
+                originBypassTokens: config.originBypassTokens.map(() => "***"),
+                upstreamCredentials: config.upstreamCredentials.map(rule => ({
+                    targets: rule.targets,
+                    headers: Object.fromEntries(
+                        Object.keys(rule.headers).map(name => [name, "***"])
+                    ),
+                    query: Object.fromEntries(Object.keys(rule.query).map(name => [name, "***"]))
+                }))
+            }
+        };
     }
 
-    // Check if client requested streaming (text/event-stream or streaming indicators)
-    if (acceptHeader.includes("text/event-stream")) {
-        return true;
+    if (route === "/__admin/backups") {
+        if (method !== "GET") {
+            return routeNotAllowed;
+        }
+        const disabledBackups = await getDisabledBackupServers(env, logger);
+        return {
+            status: 200,
+            body: {
+                backups: config.backupCorsServers.map((server, index) =>
+                    describeBackupServerForAdmin(server, index, disabledBackups)
+                )
+            }
+        };
     }
 
-    // Check URL for streaming parameters (common in AI APIs)
-    if (targetUrl) {
-        try {
-            const url = new URL(targetUrl);
-            const streamParam = url.searchParams.get("stream");
-            if (streamParam === "true" || streamParam === "1") {
-                return true;
+    if (route === "/__admin/backups/disabled") {
+        const server = parseAdminBackupIndex(params.get("backup"), config);
+        if (!server) {
+            return {
+                status: 400,
+                body: { error: "backup must be an index from /__admin/backups" }
+            };
+        }
+        if (!env.BACKUP_SERVER_CACHE) {
+            return { status: 503, body: { error: "BACKUP_SERVER_CACHE binding missing" } };
+        }
+
+        if (method === "PUT") {
+            const minutes = params.has("minutes")
+                ? Number(params.get("minutes"))
+                : DEFAULT_BACKUP_DISABLE_MINUTES;
+            if (
+                !Number.isInteger(minutes) ||
+                minutes <= 0 ||
+                minutes > MAX_BACKUP_DISABLE_MINUTES
+            ) {
+                return {
+                    status: 400,
+                    body: {
+                        error: `minutes must be an integer from 1 to ${MAX_BACKUP_DISABLE_MINUTES}`
+                    }
+                };
             }
-        } catch (e) {
-            // If URL parsing fails, continue with other checks
+
+            const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+            const reason = params.get("reason") || "disabled via admin API";
+            await setBackupServerDisabled(env, server.template, until, reason);
+            logger.info("admin.backup_disabled", {
+                backup: redactBackupTemplate(server.template),
+                until,
+                reason
+            });
+            return {
+                status: 200,
+                body: { backup: redactBackupTemplate(server.template), disabled: { until, reason } }
+            };
+        }
+
+        if (method === "DELETE") {
+            await setBackupServerDisabled(env, server.template, null);
+            logger.info("admin.backup_enabled", { backup: redactBackupTemplate(server.template) });
+            return {
+                status: 200,
+                body: { backup: redactBackupTemplate(server.template), disabled: null }
+            };
         }
+
+        return routeNotAllowed;
     }
 
-    // Check request body for streaming flags (for POST requests with JSON body)
-    // Note: This is a heuristic - we can't read the body without consuming it,
-    // so we check common patterns in headers
-    const contentEncoding = response.headers.get("content-encoding") || "";
-    if (contentEncoding.includes("chunked")) {
-        return true;
+    return { status: 404, body: { error: `Unknown admin route: ${route}` } };
+}
+
+/**
+ * Build the /__status report. Only counts are reported for config lists (patterns may be
+ * sensitive); backup templates are redacted and per-backup header values masked.
+ */
+async function buildStatusReport(env, config) {
+    const backupHealthSummary =
+        config.backupCorsServers.length > 0 ? await getBackupHealthSummary(env) : null;
+    const healthByTemplate = new Map(
+        (backupHealthSummary?.results || []).map(result => [result.template, result])
+    );
+    const disabledBackups =
+        config.backupCorsServers.length > 0 ? await getDisabledBackupServers(env) : {};
+
+    let preferredBackups = null;
+    try {
+        const listing = await listPreferredBackupServers(env);
+        preferredBackups = listing && {
+            entries: listing.entries.map(entry => ({
+                scope: entry.scope,
+                backup: redactBackupTemplate(entry.backupServer)
+            })),
+            truncated: listing.truncated
+        };
+    } catch (error) {
+        preferredBackups = { error: error.message };
     }
 
-    // Check for common AI streaming API content types
-    // OpenAI streaming: text/plain or text/event-stream
-    // Anthropic streaming: text/event-stream or application/x-ndjson
-    // Other APIs may use application/json with chunked encoding
-    if (contentType.includes("application/x-ndjson")) {
-        return true;
+    return {
+        status: "ok",
+        timestamp: new Date().toISOString(),
+        version: getVersionMetadata(env),
+        config: {
+            blacklistUrls: config.blacklistUrls.length,
+            whitelistOrigins: config.whitelistOrigins.length,
+            accessRules: config.accessRules.length,
+            requireOrigin: config.requireOrigin,
+            signedUrlsRequired: Boolean(env?.SIGNING_SECRET),
+            originBypassTokens: config.originBypassTokens.length,
+            upstreamCredentials: config.upstreamCredentials.length,
+            backupCorsServers: config.backupCorsServers.length,
+            targetSafetyExceptions: config.targetSafetyExceptions.length,
+            rateLimitWindows: Object.fromEntries(
+                RATE_LIMIT_KEY_TYPES.map(keyType => [keyType, config.rateLimits[keyType].length])
+            ),
+            retryableStatuses: config.retryPolicy.retryableStatuses.size,
+            retryPolicyOverrides: config.retryPolicy.overrides.length,
+            cacheVaryHeaders: config.cachePolicy.varyHeaders.length,
+            corsRules: config.corsPolicy.length
+        },
+        warnings: config.warnings,
+        configSource: config.source,
+        bindings: Object.fromEntries(
+            [
+                "BACKUP_SERVER_CACHE",
+                "RATE_LIMIT_KV",
+                "API_KEYS",
+                "METRICS",
+                "CONFIG_KV"
+            ].map(binding => [binding, Boolean(env?.[binding])])
+        ),
+        backupServers: config.backupCorsServers.map(server => {
+            const health = healthByTemplate.get(server.template);
+            return {
+                backup: redactBackupTemplate(server.template),
+                headers: Object.fromEntries(
+                    Object.keys(server.headers || {}).map(name => [name, "***"])
+                ),
+                weight: server.weight,
+                priority: server.priority,
+                healthy: health ? health.healthy : null,
+                disabled: disabledBackups[server.template] || null
+            };
+        }),
+        backupHealthCheckedAt: backupHealthSummary?.checkedAt || null,
+        circuits: getBackupCircuitSnapshot().map(circuit => ({
+            ...circuit,
+            circuitKey: describeBackupCircuitKey(circuit.circuitKey)
+        })),
+        preferredBackups
+    };
+}
+
+/**
+ * Write one data point per proxy request to the METRICS Analytics Engine binding, including
+ * requests answered without an upstream fetch (blocked, rate limited, invalid).
+ *
+ * index: target host. blobs: [host, origin, method, statusClass, outcome, servedBy,
+ * backupHost, cacheStatus, responseMode]. doubles: [status, attempts, durationMs].
+ * Does nothing when the binding is missing; any object with writeDataPoint() can stand in
+ * for it locally.
+ */
+function writeRequestMetrics(env, metrics, logger = rootLogger) {
+    const dataset = env?.METRICS;
+    if (!dataset || typeof dataset.writeDataPoint !== "function") {
+        return;
     }
 
-    return false;
+    try {
+        dataset.writeDataPoint({
+            indexes: [metrics.host],
+            blobs: [
+                metrics.host,
+                metrics.origin || "",
+                metrics.method,
+                `${Math.floor(metrics.status / 100)}xx`,
+                metrics.outcome,
+                metrics.servedBy || "none",
+                metrics.backupHost || "",
+                metrics.cacheStatus || "",
+                metrics.streaming ? "streaming" : "buffered"
+            ],
+            doubles: [metrics.status, metrics.attempts, metrics.durationMs]
+        });
+    } catch (error) {
+        logger.warn("metrics.write_failed", { error: error.message });
+    }
 }
 
 // Module worker export - handles all incoming fetch requests
@@ -588,9 +3766,14 @@ export default {
 
         const originUrl = new URL(request.url);
         const allowSensitiveBackup = originUrl.searchParams.get("allowSensitive") === "true";
+        const redirectMode = (originUrl.searchParams.get("redirect") || "follow").toLowerCase();
+        const rewriteMode = (originUrl.searchParams.get("rewrite") || "").toLowerCase() || null;
+        const injectBaseTag = originUrl.searchParams.get("base") === "true";
+        const debugMode = parseDebugMode(originUrl.searchParams.get("debug"));
+        const dryRun = originUrl.searchParams.get("dryRun") === "true";
 
         // Load configuration from environment variables (with fallback to defaults)
-        const config = getConfig(env);
+        const config = await loadConfig(env);
         const versionMeta = getVersionMetadata(env);
         const { version, versionId, versionTag, versionTimestamp } = versionMeta;
 
@@ -600,47 +3783,159 @@ export default {
         const country = request.cf?.country;
         const colo = request.cf?.colo;
 
-        // Function to modify headers to enable CORS
-        const setupCORSHeaders = headers => {
+        // Every log line of this request carries its ID; the ID is returned and forwarded upstream
+        const requestId = getRequestId(request);
+        let log = rootLogger.child({
+            requestId,
+            method: request.method,
+            origin: originHeader || undefined
+        });
+
+        // CORS_POLICY rule for this Origin (see findCorsRule)
+        const corsRule = findCorsRule(originHeader, config.corsPolicy);
+
+        // Function to modify headers to enable CORS. allowCredentials: false never sends
+        // Access-Control-Allow-Credentials, whatever the rule says (used by the admin routes)
+        const setupCORSHeaders = (headers, { allowCredentials = true } = {}) => {
+            headers.set(REQUEST_ID_HEADER_NAME, requestId);
+            headers.set("Access-Control-Expose-Headers", REQUEST_ID_HEADER_NAME);
+            // The CORS headers below depend on Origin, so shared caches must key on it
+            appendVaryHeader(headers, ["Origin"]);
+
             const origin = request.headers.get("Origin");
-            if (origin) {
-                // Use the specific origin (not *) to allow credentials
+            if (origin && corsRule === DENIED_CORS_RULE) {
+                // CORS_POLICY has no rule for this origin: the browser keeps the response from it
+                headers.delete("Access-Control-Allow-Origin");
+                headers.delete("Access-Control-Allow-Credentials");
+                return headers;
+            } else if (origin) {
+                // Use the specific origin (not *) so credentials can be allowed
                 headers.set("Access-Control-Allow-Origin", origin);
-                // Allow credentials when a specific origin is present
-                // Note: Credentials can only be used with specific origins, not "*"
-                headers.set("Access-Control-Allow-Credentials", "true");
+                if (corsRule.allowCredentials && allowCredentials) {
+                    headers.set("Access-Control-Allow-Credentials", "true");
+                } else {
+                    headers.delete("Access-Control-Allow-Credentials");
+                }
             } else {
                 // No origin header - could be same-origin request or missing header
                 // For same-origin requests, CORS headers aren't strictly necessary,
                 // but we set them anyway for consistency
                 headers.set("Access-Control-Allow-Origin", "*");
                 // Cannot use credentials with wildcard origin per CORS spec
+                headers.delete("Access-Control-Allow-Credentials");
             }
 
             if (isPreflightRequest) {
                 const requestMethod = request.headers.get("access-control-request-method");
-                // Support all common HTTP methods
-                const allowedMethods = requestMethod
-                    ? requestMethod
-                    : "GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS";
-                headers.set("Access-Control-Allow-Methods", allowedMethods);
-
                 const requestedHeaders = request.headers.get("access-control-request-headers");
-                if (requestedHeaders) {
-                    headers.set("Access-Control-Allow-Headers", requestedHeaders);
+                const preflightVary = [];
+
+                if (corsRule.allowedMethods === "*") {
+                    headers.set(
+                        "Access-Control-Allow-Methods",
+                        requestMethod || DEFAULT_CORS_METHODS
+                    );
+                    preflightVary.push("Access-Control-Request-Method");
                 } else {
-                    // Allow common headers if none specified
+                    headers.set("Access-Control-Allow-Methods", corsRule.allowedMethods.join(", "));
+                }
+
+                if (corsRule.allowedHeaders === "*") {
                     headers.set(
                         "Access-Control-Allow-Headers",
-                        "Content-Type, Authorization, X-Requested-With, Accept, Origin"
+                        requestedHeaders || DEFAULT_CORS_HEADERS
                     );
+                    preflightVary.push("Access-Control-Request-Headers");
+                } else if (corsRule.allowedHeaders.length > 0) {
+                    headers.set("Access-Control-Allow-Headers", corsRule.allowedHeaders.join(", "));
+                }
+
+                // Private Network Access: public pages calling a proxy on a private network
+                if (
+                    corsRule.allowPrivateNetwork &&
+                    request.headers.get("access-control-request-private-network") === "true"
+                ) {
+                    headers.set("Access-Control-Allow-Private-Network", "true");
                 }
+                preflightVary.push("Access-Control-Request-Private-Network");
+                appendVaryHeader(headers, preflightVary);
 
                 headers.delete("X-Content-Type-Options"); // Remove X-Content-Type-Options header
             }
             return headers;
         };
 
+        // Machine-readable introspection: /__health (public liveness) and /__status (JSON report,
+        // ADMIN_TOKEN only - it reads KV on every call and lists preferred backups per target)
+        if (originUrl.pathname === "/__health" || originUrl.pathname === "/__status") {
+            const statusHeaders = new Headers({
+                "Content-Type": "application/json; charset=utf-8",
+                "Cache-Control": "no-store"
+            });
+            setupCORSHeaders(statusHeaders, { allowCredentials: false });
+            if (originUrl.pathname === "/__status" && !env?.ADMIN_TOKEN) {
+                return new Response(
+                    JSON.stringify({ error: "Status report disabled (ADMIN_TOKEN not set)" }),
+                    { status: 404, headers: statusHeaders }
+                );
+            }
+            if (
+                originUrl.pathname === "/__status" &&
+                !(await isAdminRequestAuthorized(request, env))
+            ) {
+                statusHeaders.set("WWW-Authenticate", 'Bearer realm="cors-proxy-admin"');
+                return new Response(JSON.stringify({ error: "Invalid or missing admin token" }), {
+                    status: 401,
+                    headers: statusHeaders
+                });
+            }
+
+            const report =
+                originUrl.pathname === "/__health"
+                    ? { status: "ok", version, timestamp: new Date().toISOString() }
+                    : await buildStatusReport(env, config);
+            return new Response(JSON.stringify(report, null, 2), {
+                status: 200,
+                headers: statusHeaders
+            });
+        }
+
+        // Token-protected admin API: preferred backups, effective config, disabled backups
+        if (originUrl.pathname === "/__admin" || originUrl.pathname.startsWith("/__admin/")) {
+            const adminHeaders = new Headers({
+                "Content-Type": "application/json; charset=utf-8",
+                "Cache-Control": "no-store"
+            });
+            setupCORSHeaders(adminHeaders, { allowCredentials: false });
+            if (request.method === "OPTIONS") {
+                return new Response(null, { status: 204, headers: adminHeaders });
+            }
+
+            let adminResponse;
+            try {
+                adminResponse = await handleAdminRequest(request, env, config, originUrl, log);
+            } catch (error) {
+                log.error("admin.failed", { path: originUrl.pathname, error: error.message });
+                adminResponse = { status: 500, body: { error: error.message } };
+            }
+            if (adminResponse.status === 401) {
+                adminHeaders.set("WWW-Authenticate", 'Bearer realm="cors-proxy-admin"');
+            }
+            return new Response(
+                JSON.stringify(
+                    adminResponse.body,
+                    (key, value) =>
+                        value instanceof Set
+                            ? [...value]
+                            : value instanceof RegExp
+                            ? value.source
+                            : value,
+                    2
+                ),
+                { status: adminResponse.status, headers: adminHeaders }
+            );
+        }
+
         // Extract target URL - support both ?url={targetUrl} and ?{targetUrl} formats
         let targetUrl = originUrl.searchParams.get("url");
 
@@ -709,27 +4004,27 @@ export default {
         }
 
         // Validate and normalize the target URL
+        let targetSafety = null;
         if (targetUrl) {
-            // If targetUrl doesn't start with http:// or https://, automatically prepend https://
-            if (!targetUrl.match(/^https?:\/\//i)) {
-                // Prepend https:// to URLs without a protocol
-                targetUrl = `https://${targetUrl}`;
-            }
+            // Trim, and prepend https:// when there is no http(s):// or ws(s):// (shared with
+            // signProxyUrl, so signed targets verify)
+            targetUrl = normalizeTargetUrlInput(targetUrl);
 
             // Validate that it's a proper URL by trying to construct a URL object
             try {
                 const testUrl = new URL(targetUrl);
+                // Check the raw URL so obfuscated numeric hosts are caught before normalization
+                targetSafety = checkTargetSafety(targetUrl, config.targetSafetyExceptions);
                 // Preserve the full URL including path, query, and hash
                 targetUrl = testUrl.href; // Normalize the URL to ensure it's properly formatted
             } catch (e) {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Invalid target URL format: ${targetUrl}, error: ${
-                        e.message
-                    }`
-                );
+                log.warn("request.invalid_target", { target: targetUrl, error: e.message });
                 targetUrl = null; // Mark as invalid
             }
         }
+        if (targetUrl) {
+            log = log.child({ host: new URL(targetUrl).host });
+        }
 
         // Parse custom headers (used in both proxy and info page)
         let customHeaders = request.headers.get("x-cors-headers");
@@ -737,26 +4032,161 @@ export default {
             try {
                 customHeaders = JSON.parse(customHeaders);
             } catch (e) {
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Failed to parse x-cors-headers: ${e.message}`
+                log.warn("request.invalid_custom_headers", { error: e.message });
+            }
+        }
+
+        // METRICS data point for proxy requests answered without an upstream fetch (blocked,
+        // rate limited, invalid) and for WebSocket bridges; proxied responses use finishResponse
+        const recordEarlyResponse = (response, outcome) => {
+            writeRequestMetrics(
+                env,
+                {
+                    host: new URL(targetUrl).host,
+                    origin: originHeader,
+                    method: request.method,
+                    status: response.status,
+                    outcome,
+                    attempts: 0,
+                    durationMs: Date.now() - startTime
+                },
+                log
+            );
+            return response;
+        };
+
+        // 403 naming the BLACKLIST_URLS / ACCESS_RULES / WHITELIST_ORIGINS rule that denied the
+        // target (or a redirect hop of it)
+        const buildAccessDeniedResponse = accessDecision => {
+            const errorHeaders = new Headers();
+            setupCORSHeaders(errorHeaders);
+            errorHeaders.set("Content-Type", "text/html");
+            errorHeaders.set(ACCESS_DENIED_HEADER_NAME, accessDecision.rule);
+            errorHeaders.set(
+                "Access-Control-Expose-Headers",
+                `${REQUEST_ID_HEADER_NAME},${ACCESS_DENIED_HEADER_NAME}`
+            );
+
+            return new Response(
+                `Denied by access rule ${escapeHtmlAttribute(
+                    accessDecision.rule
+                )}: ${escapeHtmlAttribute(accessDecision.reason)}<br>\n` +
+                    "Create your own CORS proxy<br>\n" +
+                    "<a href='https://github.com/rozx/cloudflare-cors-anywhere'>https://github.com/rozx/cloudflare-cors-anywhere</a><br>\n",
+                {
+                    status: 403,
+                    statusText: "Forbidden",
+                    headers: errorHeaders
+                }
+            );
+        };
+
+        // Reject private/internal targets (SSRF protection) before any other handling
+        if (targetUrl && targetSafety && !targetSafety.allowed) {
+            log.warn("request.blocked", {
+                target: targetUrl,
+                outcome: "ssrf",
+                reason: targetSafety.reason
+            });
+
+            const errorHeaders = new Headers();
+            setupCORSHeaders(errorHeaders);
+            return recordEarlyResponse(
+                new Response(`Target URL not allowed: ${targetSafety.reason}`, {
+                    status: 403,
+                    statusText: "Forbidden",
+                    headers: errorHeaders
+                }),
+                "blocked"
+            );
+        }
+
+        // API key authentication - optional unless API_KEY_REQUIRED=true, but a key that is
+        // sent must always be valid. Preflights never carry the key header, so skip them.
+        const apiKey = getRequestApiKey(request, originUrl);
+        let apiKeyPolicy = null;
+        if (targetUrl && !isPreflightRequest && (apiKey || config.apiKeyRequired)) {
+            const apiKeyCheck = await authenticateApiKey(
+                env,
+                apiKey,
+                targetUrl,
+                request.method,
+                log
+            );
+            if (!apiKeyCheck.allowed) {
+                log.warn("request.blocked", {
+                    target: targetUrl,
+                    outcome: "api_key",
+                    reason: apiKeyCheck.reason
+                });
+
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response(`Access denied: ${apiKeyCheck.reason}`, {
+                        status: apiKeyCheck.status,
+                        headers: errorHeaders
+                    }),
+                    "blocked"
                 );
             }
+            apiKeyPolicy = apiKeyCheck.policy;
+        }
+
+        // Method the request will be sent with (preflights: the one the browser is about to send)
+        const accessMethod =
+            (isPreflightRequest && request.headers.get("access-control-request-method")) ||
+            request.method;
+
+        // SIGNING_SECRET: only URLs signed for this target, method, expiry and set of query
+        // parameters are proxied. Control headers can't be signed, so they are refused
+        let signatureError = null;
+        if (targetUrl && env?.SIGNING_SECRET) {
+            const unsignedHeader = SIGNED_URL_REFUSED_HEADERS.find(name =>
+                request.headers.has(name)
+            );
+            signatureError = unsignedHeader
+                ? `${unsignedHeader} is not accepted with signed URLs`
+                : await verifyProxyUrlSignature(
+                      env.SIGNING_SECRET,
+                      targetUrl,
+                      accessMethod,
+                      originUrl.searchParams
+                  );
+        }
+
+        // REQUIRE_ORIGIN: the origin may come from the Referer, and requests without a usable
+        // one are refused unless they carry a bypass token
+        let accessOrigin = originHeader;
+        let strictOriginError = null;
+        if (targetUrl && config.requireOrigin) {
+            const strictOrigin = await resolveStrictOrigin(request, config);
+            strictOriginError = strictOrigin.error || null;
+            accessOrigin = strictOrigin.origin ?? null;
+            log = log.child({ originSource: strictOrigin.source });
+        }
+
+        // BLACKLIST_URLS, then ACCESS_RULES (or WHITELIST_ORIGINS for origins without a rule);
+        // preflights are checked against the method the browser is about to send
+        let accessDecision = null;
+        if (signatureError) {
+            accessDecision = { allowed: false, rule: "SIGNING_SECRET", reason: signatureError };
+        } else if (strictOriginError) {
+            accessDecision = { allowed: false, rule: "REQUIRE_ORIGIN", reason: strictOriginError };
+        } else if (targetUrl) {
+            accessDecision = evaluateAccess(targetUrl, accessOrigin, accessMethod, config);
         }
 
         // Handle OPTIONS preflight requests early - don't forward to target URL
         if (isPreflightRequest) {
             // Validate origin and target URL exist
-            if (
-                targetUrl &&
-                !matchesPatternList(targetUrl, config.blacklistUrls) &&
-                matchesPatternList(originHeader, config.whitelistOrigins)
-            ) {
+            if (accessDecision?.allowed) {
                 const preflightHeaders = new Headers();
                 setupCORSHeaders(preflightHeaders);
 
-                // Add Access-Control-Max-Age for preflight caching (24 hours)
+                // Add Access-Control-Max-Age for preflight caching (CORS_POLICY maxAge, 24 hours by default)
                 // This allows browsers to cache the preflight response and avoid repeated OPTIONS requests
-                preflightHeaders.set("Access-Control-Max-Age", "86400");
+                preflightHeaders.set("Access-Control-Max-Age", String(corsRule.maxAge));
 
                 return new Response(null, {
                     status: 200,
@@ -768,24 +4198,223 @@ export default {
                 const errorHeaders = new Headers();
                 setupCORSHeaders(errorHeaders);
 
-                console.warn(
-                    `[${new Date().toISOString()}] ⚠️  Preflight blocked: URL not whitelisted or origin not allowed | Target: ${targetUrl ||
-                        "none"} | Origin: ${originHeader || "none"}`
-                );
+                log.warn("request.blocked", {
+                    target: targetUrl || undefined,
+                    outcome: "preflight_not_allowed",
+                    rule: accessDecision?.rule,
+                    reason: accessDecision?.reason
+                });
+                if (accessDecision) {
+                    errorHeaders.set(ACCESS_DENIED_HEADER_NAME, accessDecision.rule);
+                    errorHeaders.set(
+                        "Access-Control-Expose-Headers",
+                        `${REQUEST_ID_HEADER_NAME},${ACCESS_DENIED_HEADER_NAME}`
+                    );
+                }
+
+                const preflightResponse = new Response(null, {
+                    status: 403,
+                    statusText: "Forbidden",
+                    headers: errorHeaders
+                });
+                return targetUrl
+                    ? recordEarlyResponse(preflightResponse, "blocked")
+                    : preflightResponse;
+            }
+        }
+
+        if (targetUrl && accessDecision.allowed) {
+            if (!REDIRECT_MODES.includes(redirectMode)) {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response(
+                        `Invalid redirect mode: ${redirectMode} (expected ${REDIRECT_MODES.join(
+                            "|"
+                        )})`,
+                        {
+                            status: 400,
+                            statusText: "Bad Request",
+                            headers: errorHeaders
+                        }
+                    ),
+                    "invalid_request"
+                );
+            }
+
+            if (rewriteMode && !REWRITE_MODES.includes(rewriteMode)) {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response(
+                        `Invalid rewrite mode: ${rewriteMode} (expected ${REWRITE_MODES.join(
+                            "|"
+                        )})`,
+                        {
+                            status: 400,
+                            statusText: "Bad Request",
+                            headers: errorHeaders
+                        }
+                    ),
+                    "invalid_request"
+                );
+            }
+
+            // Rewritten links would be unsigned and fail the SIGNING_SECRET check when followed
+            if (rewriteMode && env?.SIGNING_SECRET) {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response("rewrite=html is not available when SIGNING_SECRET is set", {
+                        status: 400,
+                        statusText: "Bad Request",
+                        headers: errorHeaders
+                    }),
+                    "invalid_request"
+                );
+            }
+
+            // Optional client timeout budget (ms), capped by TOTAL_TIMEOUT_MS
+            let requestTimeoutMs = config.totalTimeoutMs;
+            const clientTimeoutHeader = request.headers.get(CLIENT_TIMEOUT_HEADER_NAME);
+            if (clientTimeoutHeader !== null) {
+                const clientTimeoutMs = Number(clientTimeoutHeader.trim());
+                if (!Number.isInteger(clientTimeoutMs) || clientTimeoutMs <= 0) {
+                    const errorHeaders = new Headers();
+                    setupCORSHeaders(errorHeaders);
+                    return recordEarlyResponse(
+                        new Response(
+                            `Invalid ${CLIENT_TIMEOUT_HEADER_NAME} header: ${clientTimeoutHeader} (expected a positive number of milliseconds)`,
+                            {
+                                status: 400,
+                                statusText: "Bad Request",
+                                headers: errorHeaders
+                            }
+                        ),
+                        "invalid_request"
+                    );
+                }
+                requestTimeoutMs = config.totalTimeoutMs
+                    ? Math.min(clientTimeoutMs, config.totalTimeoutMs)
+                    : clientTimeoutMs;
+            }
+
+            if (debugMode === "invalid") {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response("Invalid debug mode (expected debug=1 or debug=json)", {
+                        status: 400,
+                        statusText: "Bad Request",
+                        headers: errorHeaders
+                    }),
+                    "invalid_request"
+                );
+            }
+
+            if ((debugMode || dryRun) && !config.debugTraceEnabled && !apiKeyPolicy?.allowDebug) {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+                return recordEarlyResponse(
+                    new Response(
+                        "Debug mode and dry runs require DEBUG_TRACE=true or an API key with allowDebug",
+                        {
+                            status: 403,
+                            statusText: "Forbidden",
+                            headers: errorHeaders
+                        }
+                    ),
+                    "blocked"
+                );
+            }
+
+            // Enforce rate limits (per IP/origin, or per API key) before any upstream work
+            const rateLimitResult = await checkRateLimits(
+                env,
+                ctx,
+                config.rateLimits,
+                getRateLimitIdentities(
+                    request,
+                    apiKeyPolicy ? apiKey : null,
+                    apiKeyPolicy?.quota || config.rateLimits.apiKey
+                ),
+                log
+            );
+
+            if (rateLimitResult?.limited) {
+                log.warn("request.rate_limited", {
+                    target: targetUrl,
+                    ip: connectingIp || undefined,
+                    retryAfterSeconds: rateLimitResult.retryAfterSeconds
+                });
+
+                const limitedHeaders = new Headers();
+                setupCORSHeaders(limitedHeaders);
+                setRateLimitHeaders(limitedHeaders, rateLimitResult);
+                limitedHeaders.set(
+                    "Access-Control-Expose-Headers",
+                    [...RATE_LIMIT_RESPONSE_HEADERS, REQUEST_ID_HEADER_NAME].join(",")
+                );
+
+                return recordEarlyResponse(
+                    new Response("Too Many Requests: rate limit exceeded", {
+                        status: 429,
+                        statusText: "Too Many Requests",
+                        headers: limitedHeaders
+                    }),
+                    "rate_limited"
+                );
+            }
+
+            // WebSocket targets are bridged instead of fetched (no backups, no retries)
+            const isWebSocketTarget = /^wss?:/i.test(targetUrl);
+            if (isWebSocketUpgradeRequest(request) || isWebSocketTarget) {
+                const errorHeaders = new Headers();
+                setupCORSHeaders(errorHeaders);
+
+                if (!isWebSocketUpgradeRequest(request) || !isWebSocketTarget) {
+                    return recordEarlyResponse(
+                        new Response(
+                            "WebSocket proxying requires an Upgrade: websocket request to a ws:// or wss:// target",
+                            {
+                                status: 400,
+                                statusText: "Bad Request",
+                                headers: errorHeaders
+                            }
+                        ),
+                        "invalid_request"
+                    );
+                }
 
-                return new Response(null, {
-                    status: 403,
-                    statusText: "Forbidden",
-                    headers: errorHeaders
-                });
+                try {
+                    const webSocketResponse = await proxyWebSocket(
+                        request,
+                        targetUrl,
+                        customHeaders,
+                        {
+                            connectTimeoutMs: config.attemptTimeoutMs,
+                            idleTimeoutMs: config.webSocketIdleTimeoutMs,
+                            maxDurationMs: config.webSocketMaxDurationMs,
+                            upstreamCredential: findUpstreamCredential(
+                                targetUrl,
+                                config.upstreamCredentials
+                            )
+                        }
+                    );
+                    return recordEarlyResponse(webSocketResponse, "websocket");
+                } catch (error) {
+                    log.warn("websocket.failed", { target: targetUrl, error: error.message });
+                    return recordEarlyResponse(
+                        new Response(`Error connecting to WebSocket target: ${error.message}`, {
+                            status: error.upstreamTimeout ? 504 : 502,
+                            statusText: error.upstreamTimeout ? "Gateway Timeout" : "Bad Gateway",
+                            headers: errorHeaders
+                        }),
+                        error.upstreamTimeout ? "timeout" : "error"
+                    );
+                }
             }
-        }
 
-        if (
-            targetUrl &&
-            !matchesPatternList(targetUrl, config.blacklistUrls) &&
-            matchesPatternList(originHeader, config.whitelistOrigins)
-        ) {
             // Fetch the target URL
             const filteredHeaders = {};
             const excludePatterns = [
@@ -793,7 +4422,11 @@ export default {
                 /^referer/i,
                 /^cf-/,
                 /^x-forw/i,
-                /^x-cors-headers/i
+                /^x-cors-headers/i,
+                /^x-cors-api-key$/i,
+                /^x-cors-bypass-token$/i,
+                /^x-cors-cache-ttl$/i,
+                /^x-cors-timeout$/i
             ];
 
             // Determine Sec-Fetch-Site based on origin
@@ -901,6 +4534,9 @@ export default {
                 }
             }
 
+            // Tag the upstream request with this request's ID
+            filteredHeaders[REQUEST_ID_HEADER_NAME.toLowerCase()] = requestId;
+
             // Custom headers override everything
             if (customHeaders !== null && typeof customHeaders === "object") {
                 Object.assign(filteredHeaders, customHeaders);
@@ -913,7 +4549,24 @@ export default {
             const requestBody = hasRequestBody ? await request.arrayBuffer() : null;
 
             // Build attempt sequence: direct target first, then backup CORS servers
-            const filteredBackupServers = config.backupCorsServers.filter(server => {
+            // (API keys with allowBackup=false are limited to the direct attempt)
+            // Collected for ?debug=1: every attempt and why backups were left out
+            const upstreamTrace = { target: targetUrl, attempts: [], removedBackups: [] };
+            const traceRemovedBackups = (servers, reason) => {
+                servers.forEach(server =>
+                    upstreamTrace.removedBackups.push({
+                        backup: redactBackupTemplate(server.template),
+                        reason
+                    })
+                );
+            };
+
+            const availableBackupServers =
+                apiKeyPolicy && !apiKeyPolicy.allowBackup ? [] : config.backupCorsServers;
+            if (availableBackupServers.length < config.backupCorsServers.length) {
+                traceRemovedBackups(config.backupCorsServers, "API key policy disallows backups");
+            }
+            const filteredBackupServers = availableBackupServers.filter(server => {
                 try {
                     return (
                         new URL(buildBackupTargetUrl(server.template, "https://example.com"))
@@ -923,14 +4576,32 @@ export default {
                     return false;
                 }
             });
+            traceRemovedBackups(
+                availableBackupServers.filter(server => !filteredBackupServers.includes(server)),
+                "backup points at this worker"
+            );
 
             let prioritizedBackupServers = [...filteredBackupServers];
             let preferredBackupCacheHit = false;
             let preferredBackupServer = null;
+            let backupHealthSummary = null;
+            let disabledBackups = {};
+            let backupStats = null;
+            const backupSelectionStrategy = config.backupSelectionStrategy;
+            // weighted / priority order every backup themselves instead of pinning the preferred one
+            const pinsPreferredBackup =
+                backupSelectionStrategy === "round-robin" || backupSelectionStrategy === "random";
 
             // Only read KV when backup servers are configured to avoid wasted I/O
             if (filteredBackupServers.length > 0) {
-                preferredBackupServer = await getPreferredBackupServer(env, targetUrl);
+                backupHealthSummary = await getBackupHealthSummary(env);
+                disabledBackups = await getDisabledBackupServers(env, log);
+                if (backupSelectionStrategy === "weighted") {
+                    backupStats = await getBackupStats(env, targetUrl, log);
+                }
+                if (pinsPreferredBackup) {
+                    preferredBackupServer = await getPreferredBackupServer(env, targetUrl, log);
+                }
                 if (preferredBackupServer) {
                     const preferredIndex = prioritizedBackupServers.findIndex(
                         server => server.template === preferredBackupServer
@@ -945,7 +4616,8 @@ export default {
                             clearPreferredBackupServer(
                                 env,
                                 targetUrl,
-                                "cached server is no longer in BACKUP_CORS_SERVERS"
+                                "cached server is no longer in BACKUP_CORS_SERVERS",
+                                log
                             )
                         );
                         preferredBackupServer = null;
@@ -953,7 +4625,22 @@ export default {
                 }
             }
 
-            if (prioritizedBackupServers.length > 1) {
+            if (prioritizedBackupServers.length > 1 && backupSelectionStrategy !== "round-robin") {
+                prioritizedBackupServers = preferredBackupCacheHit
+                    ? [
+                          prioritizedBackupServers[0],
+                          ...orderBackupServers(
+                              prioritizedBackupServers.slice(1),
+                              backupSelectionStrategy,
+                              backupStats
+                          )
+                      ]
+                    : orderBackupServers(
+                          prioritizedBackupServers,
+                          backupSelectionStrategy,
+                          backupStats
+                      );
+            } else if (prioritizedBackupServers.length > 1) {
                 if (preferredBackupCacheHit) {
                     const pinnedPreferredServer = prioritizedBackupServers[0];
                     const nonPreferredServers = prioritizedBackupServers.slice(1);
@@ -978,13 +4665,83 @@ export default {
                 }
             }
 
+            // Skip backups that failed the last scheduled health check, unless all of them did
+            // (then the probe itself is more likely broken than every backup)
+            const unhealthyBackupTemplates = getUnhealthyBackupTemplates(backupHealthSummary);
+            const healthyBackupServers = prioritizedBackupServers.filter(
+                server => !unhealthyBackupTemplates.has(server.template)
+            );
+            if (healthyBackupServers.length > 0) {
+                traceRemovedBackups(
+                    prioritizedBackupServers.filter(
+                        server => !healthyBackupServers.includes(server)
+                    ),
+                    "failed the last scheduled health check"
+                );
+                prioritizedBackupServers = healthyBackupServers;
+            }
+
+            // Skip backups an operator disabled through the admin API (no fallback if that's all of them)
+            traceRemovedBackups(
+                prioritizedBackupServers.filter(server => disabledBackups[server.template]),
+                "disabled via admin API"
+            );
+            prioritizedBackupServers = prioritizedBackupServers.filter(
+                server => !disabledBackups[server.template]
+            );
+
+            // Skip backups whose circuit is open (or half-open with its probe budget used up)
+            const circuitBreaker = config.circuitBreakerPolicy;
+            if (circuitBreaker.enabled) {
+                prioritizedBackupServers = prioritizedBackupServers.filter(server => {
+                    const circuitKey = getBackupCircuitKey(
+                        server.template,
+                        targetUrl,
+                        circuitBreaker
+                    );
+                    if (acquireBackupCircuitPermit(circuitKey, circuitBreaker)) {
+                        return true;
+                    }
+                    log.info("backup.skipped", {
+                        backup: redactBackupTemplate(server.template),
+                        reason: "circuit breaker open"
+                    });
+                    traceRemovedBackups([server], "circuit breaker open");
+                    return false;
+                });
+            }
+
+            // UPSTREAM_CREDENTIALS go to the direct attempt only; fetchUrl carries injected query
+            // params, url stays clean for traces and errors
+            const upstreamCredential = findUpstreamCredential(
+                targetUrl,
+                config.upstreamCredentials
+            );
+            const credentialHeaderNames = upstreamCredential
+                ? Object.keys(upstreamCredential.headers).map(name => name.toLowerCase())
+                : [];
+            if (upstreamCredential) {
+                log.debug("upstream_credentials.matched", {
+                    target: targetUrl,
+                    headers: Object.keys(upstreamCredential.headers),
+                    query: Object.keys(upstreamCredential.query)
+                });
+            }
+
             let attemptTargets = [
-                { url: targetUrl, mode: "direct" },
+                {
+                    url: targetUrl,
+                    fetchUrl: upstreamCredential
+                        ? addUpstreamCredentialQuery(targetUrl, upstreamCredential)
+                        : targetUrl,
+                    mode: "direct"
+                },
                 ...prioritizedBackupServers.map(server => ({
                     url: buildBackupTargetUrl(server.template, targetUrl),
                     mode: "backup",
                     backupServer: server.template,
                     backupHeaders: server.headers,
+                    circuitKey: getBackupCircuitKey(server.template, targetUrl, circuitBreaker),
                     preferred:
                         preferredBackupCacheHit &&
                         Boolean(preferredBackupServer) &&
@@ -992,88 +4749,427 @@ export default {
                 }))
             ];
 
-            const createAttemptRequest = attemptTarget => {
+            const createAttemptRequestInit = attemptTarget => {
                 const attemptHeaders = { ...filteredHeaders };
+                // Client-sent copies of injected headers never reach backups either
+                Object.keys(attemptHeaders)
+                    .filter(name => credentialHeaderNames.includes(name.toLowerCase()))
+                    .forEach(name => delete attemptHeaders[name]);
+                if (attemptTarget.mode === "direct" && upstreamCredential) {
+                    Object.assign(attemptHeaders, upstreamCredential.headers);
+                }
                 if (attemptTarget.mode === "backup" && attemptTarget.backupHeaders) {
                     Object.assign(attemptHeaders, attemptTarget.backupHeaders);
                 }
 
-                return new Request(attemptTarget.url, {
+                return {
                     method: requestMethod,
                     headers: attemptHeaders,
-                    body: hasRequestBody ? requestBody : null,
-                    redirect: "follow"
-                });
+                    body: hasRequestBody ? requestBody : null
+                };
             };
 
-            try {
+            // Headers an UPSTREAM_CREDENTIALS rule replaces are stripped from backup attempts, so
+            // they don't count as sensitive
+            const sensitiveHeaders = getSensitiveHeadersForBackup(request, customHeaders).filter(
+                name => !credentialHeaderNames.includes(name.toLowerCase())
+            );
+            const hasSensitiveHeaders = sensitiveHeaders.length > 0;
+            const hasBackupTargets = attemptTargets.some(t => t.mode === "backup");
+
+            // Check sensitive header restrictions once before entering the retry loop
+            if (hasBackupTargets && hasSensitiveHeaders && !allowSensitiveBackup) {
+                // Strip all backup targets — only direct attempt is allowed
+                traceRemovedBackups(
+                    attemptTargets
+                        .filter(t => t.mode === "backup")
+                        .map(t => ({ template: t.backupServer })),
+                    `sensitive request headers (${sensitiveHeaders.join(
+                        ", "
+                    )}); allowSensitive=true overrides`
+                );
+                const directOnly = attemptTargets.filter(t => t.mode === "direct");
+                attemptTargets.length = 0;
+                attemptTargets.push(...directOnly);
+
+                log.warn("backup.skipped", {
+                    target: targetUrl,
+                    reason: "sensitive request headers",
+                    headers: sensitiveHeaders
+                });
+            } else if (hasBackupTargets && hasSensitiveHeaders && allowSensitiveBackup) {
+                log.warn("backup.sensitive_allowed", {
+                    target: targetUrl,
+                    headers: sensitiveHeaders
+                });
+            }
+
+            const retryPolicy = resolveRetryPolicy(config.retryPolicy, targetUrl);
+            const requestIsReplayable = canReplayRequest(request, retryPolicy);
+            if (!requestIsReplayable) {
+                log.info("retry.disabled", {
+                    target: targetUrl,
+                    reason: `no Idempotency-Key (RETRY_POLICY.nonIdempotent=${retryPolicy.nonIdempotent})`
+                });
+            }
+
+            // Recalculate max attempts after potential target list trimming
+            const effectiveMaxAttempts = requestIsReplayable
+                ? Math.max(Math.max(1, config.maxRetryAttempts + 1), attemptTargets.length)
+                : 1;
+            // Only the direct attempt runs for non-replayable requests; report the backups it skips
+            traceRemovedBackups(
+                attemptTargets
+                    .slice(effectiveMaxAttempts)
+                    .map(target => ({ template: target.backupServer })),
+                "request is not replayable (no Idempotency-Key)"
+            );
+
+            // ?dryRun=true: describe the upstream requests instead of sending them
+            if (dryRun) {
+                if (circuitBreaker.enabled) {
+                    attemptTargets
+                        .filter(target => target.mode === "backup")
+                        .forEach(target => releaseBackupCircuitPermit(target.circuitKey));
+                }
+
+                const dryRunHeaders = new Headers({
+                    "Content-Type": "application/json; charset=utf-8"
+                });
+                setupCORSHeaders(dryRunHeaders);
+                return new Response(
+                    JSON.stringify(
+                        {
+                            dryRun: true,
+                            method: requestMethod,
+                            target: targetUrl,
+                            access: describeAccessDecision(
+                                accessDecision,
+                                targetUrl,
+                                accessOrigin,
+                                config
+                            ),
+                            redirectMode,
+                            upstreamCredentials: upstreamCredential
+                                ? {
+                                      headers: Object.keys(upstreamCredential.headers),
+                                      query: Object.keys(upstreamCredential.query)
+                                  }
+                                : null,
+                            maxAttempts: effectiveMaxAttempts,
+                            requestBodyBytes: hasRequestBody ? requestBody.byteLength : 0,
+                            attempts: attemptTargets
+                                .slice(0, effectiveMaxAttempts)
+                                .map(attemptTarget => ({
+                                    mode: attemptTarget.mode,
+                                    url:
+                                        attemptTarget.mode === "backup"
+                                            ? buildBackupTargetUrl(
+                                                  redactBackupTemplate(attemptTarget.backupServer),
+                                                  targetUrl
+                                              )
+                                            : attemptTarget.url,
+                                    preferred: Boolean(attemptTarget.preferred),
+                                    headers: maskSensitiveHeaders(
+                                        createAttemptRequestInit(attemptTarget).headers,
+                                        attemptTarget.mode === "direct" ? credentialHeaderNames : []
+                                    )
+                                })),
+                            removedBackups: upstreamTrace.removedBackups
+                        },
+                        null,
+                        2
+                    ),
+                    { status: 200, headers: dryRunHeaders }
+                );
+            }
+
+            // Run the attempt sequence (direct, backups, then retries of the last target) and
+            // resolve with the first acceptable upstream response
+            const tryUpstreamTargets = async () => {
                 let lastNetworkError = null;
+                let allAttemptsTimedOut = true;
+                let retryAfterMs = null;
+                const deadline = requestTimeoutMs ? Date.now() + requestTimeoutMs : Infinity;
+
+                // Each attempt gets ATTEMPT_TIMEOUT_MS, shortened to what is left of the total budget
+                const runAttempt = (attemptTarget, signal) => {
+                    const remainingMs = deadline - Date.now();
+                    if (remainingMs <= 0) {
+                        return Promise.reject(
+                            createUpstreamTimeoutError(
+                                `Total upstream timeout of ${requestTimeoutMs}ms exceeded`
+                            )
+                        );
+                    }
 
-                const sensitiveHeaders = getSensitiveHeadersForBackup(request, customHeaders);
-                const hasSensitiveHeaders = sensitiveHeaders.length > 0;
-                const hasBackupTargets = attemptTargets.some(t => t.mode === "backup");
-
-                // Check sensitive header restrictions once before entering the retry loop
-                if (hasBackupTargets && hasSensitiveHeaders && !allowSensitiveBackup) {
-                    // Strip all backup targets — only direct attempt is allowed
-                    const directOnly = attemptTargets.filter(t => t.mode === "direct");
-                    attemptTargets.length = 0;
-                    attemptTargets.push(...directOnly);
-
-                    console.warn(
-                        `[${new Date().toISOString()}] 🚫 Backup servers removed from attempt list due to sensitive request headers: ${sensitiveHeaders.join(
-                            ", "
-                        )} | Target: ${targetUrl}`
+                    const timeoutMs = Math.min(config.attemptTimeoutMs || Infinity, remainingMs);
+                    const attempt = runWithTimeout(
+                        attemptSignal =>
+                            // Redirects are followed hop by hop so each Location is re-checked
+                            fetchWithRedirectChecks(
+                                attemptTarget.fetchUrl || attemptTarget.url,
+                                {
+                                    ...createAttemptRequestInit(attemptTarget),
+                                    signal: attemptSignal
+                                },
+                                {
+                                    safetyExceptions: config.targetSafetyExceptions,
+                                    redirectMode,
+                                    maxRedirects: config.maxRedirects,
+                                    credentialHeaders:
+                                        attemptTarget.mode === "direct"
+                                            ? credentialHeaderNames
+                                            : [],
+                                    accessCheck: { origin: accessOrigin, config }
+                                }
+                            ),
+                        Number.isFinite(timeoutMs) ? timeoutMs : 0,
+                        signal
                     );
-                } else if (hasBackupTargets && hasSensitiveHeaders && allowSensitiveBackup) {
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  Sensitive headers allowed for backup because allowSensitive=true. Headers: ${sensitiveHeaders.join(
-                            ", "
-                        )} | Target: ${targetUrl}`
+                    if (!attemptTarget.fetchUrl || attemptTarget.fetchUrl === attemptTarget.url) {
+                        return attempt;
+                    }
+
+                    // Keep injected query credentials out of X-Cors-Final-Url, the cache and errors
+                    return attempt.then(
+                        result => ({
+                            ...result,
+                            finalUrl: removeUpstreamCredentialQuery(
+                                result.finalUrl,
+                                upstreamCredential
+                            )
+                        }),
+                        error => {
+                            if (typeof error?.message === "string") {
+                                Object.defineProperty(error, "message", {
+                                    value: error.message
+                                        .split(attemptTarget.fetchUrl)
+                                        .join(attemptTarget.url),
+                                    configurable: true,
+                                    writable: true
+                                });
+                            }
+                            throw error;
+                        }
                     );
-                }
+                };
 
-                // Recalculate max attempts after potential target list trimming
-                const effectiveMaxAttempts = Math.max(
-                    Math.max(1, config.maxRetryAttempts + 1),
-                    attemptTargets.length
-                );
+                const traceAttempt = (
+                    attemptTarget,
+                    { status = null, error = null, startedAt }
+                ) => {
+                    upstreamTrace.attempts.push({
+                        mode: attemptTarget.mode,
+                        backup:
+                            attemptTarget.mode === "backup"
+                                ? redactBackupTemplate(attemptTarget.backupServer)
+                                : null,
+                        status,
+                        // Fetch errors can quote the request URL, which includes backup secrets
+                        error: error
+                            ? attemptTarget.mode === "backup"
+                                ? error.message
+                                      .split(attemptTarget.url)
+                                      .join(redactBackupTemplate(attemptTarget.backupServer))
+                                : error.message
+                            : null,
+                        durationMs: Date.now() - startedAt,
+                        preferred: Boolean(attemptTarget.preferred)
+                    });
+                };
 
-                for (let attemptIndex = 0; attemptIndex < effectiveMaxAttempts; attemptIndex++) {
-                    const targetIndex = Math.min(attemptIndex, attemptTargets.length - 1);
-                    const currentAttemptTarget = attemptTargets[targetIndex];
-                    const isLastAttempt = attemptIndex === effectiveMaxAttempts - 1;
+                // Feed a backup attempt into its circuit breaker and latency/success stats
+                const recordBackupOutcome = (attemptTarget, success, reason, latencyMs) => {
+                    if (circuitBreaker.enabled) {
+                        if (success) {
+                            recordBackupCircuitSuccess(attemptTarget.circuitKey);
+                        } else {
+                            recordBackupCircuitFailure(
+                                attemptTarget.circuitKey,
+                                circuitBreaker,
+                                reason
+                            );
+                        }
+                    }
 
-                    if (currentAttemptTarget.mode === "backup") {
-                        console.log(
-                            `[${new Date().toISOString()}] ℹ️  Using backup server: ${
-                                currentAttemptTarget.backupServer
-                            } | Target: ${targetUrl}`
+                    if (backupStats) {
+                        recordBackupStatsSample(
+                            backupStats,
+                            attemptTarget.backupServer,
+                            success,
+                            latencyMs
                         );
                     }
+                };
+
+                // Hedging replays the request, so it is limited to safe methods
+                const hedgeTarget =
+                    config.hedgeDelayMs > 0 &&
+                    (requestMethod === "GET" || requestMethod === "HEAD") &&
+                    attemptTargets[1] &&
+                    attemptTargets[1].mode === "backup"
+                        ? attemptTargets[1]
+                        : null;
 
-                    // Apply backoff delay when retrying the same server (exhausted all unique targets)
+                for (let attemptIndex = 0; attemptIndex < effectiveMaxAttempts; attemptIndex++) {
+                    const targetIndex = Math.min(attemptIndex, attemptTargets.length - 1);
+                    let currentAttemptTarget = attemptTargets[targetIndex];
+                    currentAttemptTarget.attempted = true;
+
+                    log[currentAttemptTarget.mode === "backup" ? "info" : "debug"](
+                        "attempt.started",
+                        {
+                            attempt: attemptIndex + 1,
+                            mode: currentAttemptTarget.mode,
+                            backup: currentAttemptTarget.backupServer
+                                ? redactBackupTemplate(currentAttemptTarget.backupServer)
+                                : undefined
+                        }
+                    );
+
+                    // Apply backoff delay when retrying the same server (exhausted all unique targets),
+                    // or wait for the Retry-After it asked for
                     if (attemptIndex >= attemptTargets.length) {
-                        const backoffMs = Math.min(
-                            500 * (attemptIndex - attemptTargets.length + 1),
-                            2000
+                        const backoffMs = Math.max(
+                            getRetryBackoffMs(
+                                retryPolicy.backoff,
+                                attemptIndex - attemptTargets.length + 1
+                            ),
+                            retryAfterMs || 0
+                        );
+                        await new Promise(resolve =>
+                            setTimeout(
+                                resolve,
+                                Math.min(backoffMs, Math.max(0, deadline - Date.now()))
+                            )
                         );
-                        await new Promise(resolve => setTimeout(resolve, backoffMs));
                     }
+                    retryAfterMs = null;
 
                     let response;
+                    let finalUrl;
+                    let attemptStartTime = Date.now();
+                    let hedgeResult = null;
+
+                    if (attemptIndex === 0 && hedgeTarget) {
+                        hedgeResult = await raceWithHedge(
+                            signal => runAttempt(currentAttemptTarget, signal),
+                            signal => runAttempt(hedgeTarget, signal),
+                            config.hedgeDelayMs,
+                            result => !isRetryableStatusCode(result.response.status, retryPolicy)
+                        );
+                    }
+
+                    if (hedgeResult && hedgeResult.hedged) {
+                        // Direct answered acceptably before the backup did, so the backup was
+                        // aborted without an outcome of its own
+                        const hedgeCancelled =
+                            hedgeResult.winner === "primary" && !hedgeResult.hedge;
+                        hedgeTarget.attempted = true;
+                        if (!hedgeCancelled) {
+                            // The hedged backup used up the next attempt
+                            attemptIndex++;
+                        }
+
+                        log.info("attempt.hedged", {
+                            attempt: attemptIndex + 1,
+                            backup: redactBackupTemplate(hedgeTarget.backupServer),
+                            hedgeDelayMs: config.hedgeDelayMs,
+                            outcome:
+                                hedgeResult.winner === "hedge"
+                                    ? "backup_won"
+                                    : hedgeCancelled
+                                    ? "backup_cancelled"
+                                    : "direct_won"
+                        });
+
+                        if (hedgeCancelled) {
+                            traceAttempt(hedgeTarget, {
+                                error: new Error("cancelled: direct attempt won the hedged race"),
+                                startedAt: hedgeResult.hedgeStartedAt
+                            });
+                            // Its half-open probe (if any) was never answered - give it back
+                            if (circuitBreaker.enabled) {
+                                releaseBackupCircuitPermit(hedgeTarget.circuitKey);
+                            }
+                        } else if (hedgeResult.winner === "hedge") {
+                            traceAttempt(currentAttemptTarget, {
+                                error: new Error("aborted: backup won the hedged race"),
+                                startedAt: attemptStartTime
+                            });
+                            currentAttemptTarget = hedgeTarget;
+                            attemptStartTime = hedgeResult.hedgeStartedAt;
+                        } else if (hedgeResult.hedge) {
+                            // Backup lost the race on its own (error or retryable status)
+                            const { value, error } = hedgeResult.hedge;
+                            traceAttempt(hedgeTarget, {
+                                status: value ? value.response.status : null,
+                                error,
+                                startedAt: hedgeResult.hedgeStartedAt
+                            });
+                            recordBackupOutcome(
+                                hedgeTarget,
+                                false,
+                                error
+                                    ? `network error: ${error.message}`
+                                    : `status ${value.response.status}`,
+                                Date.now() - hedgeResult.hedgeStartedAt
+                            );
+                            allAttemptsTimedOut =
+                                allAttemptsTimedOut && Boolean(error && error.upstreamTimeout);
+                        }
+                    }
+
+                    const isLastAttempt = attemptIndex >= effectiveMaxAttempts - 1;
+
                     try {
-                        response = await fetch(createAttemptRequest(currentAttemptTarget));
+                        if (hedgeResult) {
+                            const { value, error } =
+                                hedgeResult.winner === "hedge"
+                                    ? hedgeResult.hedge
+                                    : hedgeResult.primary;
+                            if (error) {
+                                throw error;
+                            }
+                            ({ response, finalUrl } = value);
+                        } else {
+                            ({ response, finalUrl } = await runAttempt(currentAttemptTarget));
+                        }
                     } catch (error) {
-                        lastNetworkError = error;
+                        // A blocked or rejected redirect is final - backups would hit the same hop
+                        if (
+                            error.targetSafetyViolation ||
+                            error.redirectRejected ||
+                            error.accessDecision
+                        ) {
+                            throw error;
+                        }
 
-                        console.warn(
-                            `[${new Date().toISOString()}] ⚠️  Failed to reach ${
-                                currentAttemptTarget.mode === "direct" ? "target" : "backup"
-                            } URL: ${currentAttemptTarget.url} | Error: ${
-                                error.message
-                            } | Attempt: ${attemptIndex + 1}/${effectiveMaxAttempts}`
-                        );
+                        lastNetworkError = error;
+                        allAttemptsTimedOut = allAttemptsTimedOut && Boolean(error.upstreamTimeout);
+                        traceAttempt(currentAttemptTarget, { error, startedAt: attemptStartTime });
+
+                        log.warn("attempt.failed", {
+                            attempt: attemptIndex + 1,
+                            maxAttempts: effectiveMaxAttempts,
+                            mode: currentAttemptTarget.mode,
+                            backup: currentAttemptTarget.backupServer
+                                ? redactBackupTemplate(currentAttemptTarget.backupServer)
+                                : undefined,
+                            error: upstreamTrace.attempts[upstreamTrace.attempts.length - 1].error,
+                            durationMs: Date.now() - attemptStartTime,
+                            outcome: error.upstreamTimeout ? "timeout" : "network_error"
+                        });
+
+                        if (currentAttemptTarget.mode === "backup") {
+                            recordBackupOutcome(
+                                currentAttemptTarget,
+                                false,
+                                `network error: ${error.message}`,
+                                Date.now() - attemptStartTime
+                            );
+                        }
 
                         if (
                             currentAttemptTarget.mode === "backup" &&
@@ -1083,20 +5179,69 @@ export default {
                                 clearPreferredBackupServer(
                                     env,
                                     targetUrl,
-                                    `preferred backup server network failure (${error.message})`
+                                    `preferred backup server network failure (${error.message})`,
+                                    log
                                 )
                             );
                         }
 
-                        if (!isLastAttempt) {
+                        // Stop on error classes the policy doesn't retry, or when nothing is left of
+                        // the total budget (further attempts would time out at once)
+                        const errorClass = error.upstreamTimeout ? "timeout" : "network";
+                        if (
+                            !isLastAttempt &&
+                            Date.now() < deadline &&
+                            retryPolicy.retryableErrors.has(errorClass)
+                        ) {
                             continue;
                         }
 
+                        error.allAttemptsTimedOut = allAttemptsTimedOut;
                         throw error;
                     }
 
-                    // Retry on selected upstream status codes
-                    if (isRetryableStatusCode(response.status) && !isLastAttempt) {
+                    allAttemptsTimedOut = false;
+                    traceAttempt(currentAttemptTarget, {
+                        status: response.status,
+                        startedAt: attemptStartTime
+                    });
+
+                    if (currentAttemptTarget.mode === "backup") {
+                        recordBackupOutcome(
+                            currentAttemptTarget,
+                            !isRetryableStatusCode(response.status, retryPolicy),
+                            `status ${response.status}`,
+                            Date.now() - attemptStartTime
+                        );
+                    }
+
+                    // Retry on selected upstream status codes. Retry-After only matters when the
+                    // same target is tried again; beyond maxRetryAfterMs the response is returned.
+                    const nextAttemptRepeatsTarget = attemptIndex + 1 >= attemptTargets.length;
+                    const responseRetryAfterMs = nextAttemptRepeatsTarget
+                        ? parseRetryAfterMs(response.headers.get("retry-after"))
+                        : null;
+                    if (
+                        isRetryableStatusCode(response.status, retryPolicy) &&
+                        !isLastAttempt &&
+                        Date.now() < deadline &&
+                        (responseRetryAfterMs === null ||
+                            responseRetryAfterMs <= retryPolicy.maxRetryAfterMs)
+                    ) {
+                        retryAfterMs = responseRetryAfterMs;
+                        log.info("attempt.failed", {
+                            attempt: attemptIndex + 1,
+                            maxAttempts: effectiveMaxAttempts,
+                            mode: currentAttemptTarget.mode,
+                            backup: currentAttemptTarget.backupServer
+                                ? redactBackupTemplate(currentAttemptTarget.backupServer)
+                                : undefined,
+                            status: response.status,
+                            retryAfterMs: retryAfterMs === null ? undefined : retryAfterMs,
+                            durationMs: Date.now() - attemptStartTime,
+                            outcome: "retryable_status"
+                        });
+
                         if (
                             currentAttemptTarget.mode === "backup" &&
                             currentAttemptTarget.preferred
@@ -1105,7 +5250,8 @@ export default {
                                 clearPreferredBackupServer(
                                     env,
                                     targetUrl,
-                                    `preferred backup server returned retryable status ${response.status}`
+                                    `preferred backup server returned retryable status ${response.status}`,
+                                    log
                                 )
                             );
                         }
@@ -1118,82 +5264,446 @@ export default {
                     }
 
                     if (currentAttemptTarget.mode === "backup") {
-                        if (!isRetryableStatusCode(response.status)) {
+                        if (!isRetryableStatusCode(response.status, retryPolicy)) {
                             ctx.waitUntil(
                                 setPreferredBackupServer(
                                     env,
                                     targetUrl,
-                                    currentAttemptTarget.backupServer
+                                    currentAttemptTarget.backupServer,
+                                    log
                                 )
                             );
                         }
                     }
 
-                    const responseHeaders = new Headers(response.headers);
-                    const exposedHeaders = Array.from(response.headers.keys());
-                    const allResponseHeaders = Object.fromEntries(response.headers.entries());
+                    // Backups follow redirects themselves; cors-anywhere style servers report
+                    // the final URL in X-Final-Url. Never expose the backup URL itself.
+                    if (currentAttemptTarget.mode === "backup") {
+                        finalUrl = response.headers.get("x-final-url") || targetUrl;
+
+                        // The backup followed redirects itself; hold its final URL to the same rules
+                        const finalAccessDecision =
+                            finalUrl === targetUrl
+                                ? accessDecision
+                                : evaluateAccess(finalUrl, accessOrigin, requestMethod, config);
+                        if (!finalAccessDecision.allowed) {
+                            if (response.body) {
+                                response.body.cancel();
+                            }
+                            throw createAccessDeniedError(finalUrl, finalAccessDecision);
+                        }
+                    }
+
+                    return { response, attemptTarget: currentAttemptTarget, finalUrl };
+                }
+
+                // Should never happen, but keep a deterministic fallback
+                throw lastNetworkError || new Error("All upstream attempts failed");
+            };
+
+            const fetchFromUpstream = async () => {
+                try {
+                    return await tryUpstreamTargets();
+                } finally {
+                    if (circuitBreaker.enabled) {
+                        attemptTargets
+                            .filter(target => target.mode === "backup" && !target.attempted)
+                            .forEach(target => releaseBackupCircuitPermit(target.circuitKey));
+                    }
+                    if (
+                        backupStats &&
+                        attemptTargets.some(target => target.mode === "backup" && target.attempted)
+                    ) {
+                        ctx.waitUntil(saveBackupStats(env, targetUrl, backupStats, log));
+                    }
+                }
+            };
+
+            // Turn an upstream (or cached) response into the client response with CORS headers
+            const buildProxyResponse = (response, responseBody, { cacheStatus, finalUrl }) => {
+                // Upstreams that echo an injected credential get it masked, directly and in
+                // cors-received-headers
+                const upstreamHeaders = upstreamCredential
+                    ? scrubUpstreamCredentialValues(
+                          new Headers(response.headers),
+                          upstreamCredential
+                      )
+                    : response.headers;
+                const responseHeaders = new Headers(upstreamHeaders);
+                // A CORS_POLICY exposeHeaders list limits the upstream headers the page can read,
+                // directly and through cors-received-headers
+                const isExposedHeader = name =>
+                    corsRule.exposeHeaders === "*" || corsRule.exposeHeaders.includes(name);
+                const exposedHeaders = Array.from(upstreamHeaders.keys()).filter(isExposedHeader);
+                const allResponseHeaders = Object.fromEntries(
+                    Array.from(upstreamHeaders.entries()).filter(([name]) => isExposedHeader(name))
+                );
+
+                exposedHeaders.push("cors-received-headers", REQUEST_ID_HEADER_NAME);
+                setupCORSHeaders(responseHeaders);
+
+                if (finalUrl) {
+                    responseHeaders.set("X-Cors-Final-Url", finalUrl);
+                    exposedHeaders.push("X-Cors-Final-Url");
+                }
+
+                // In manual mode, point Location back through the proxy so following it
+                // (e.g. browser navigation) keeps going through CORS. The client's API key is
+                // never copied into it (it would leak via history and Referer). With
+                // SIGNING_SECRET the proxied URL would be unsigned, so the absolute upstream
+                // Location is returned
+                const location = upstreamHeaders.get("location");
+                if (
+                    redirectMode === "manual" &&
+                    env?.SIGNING_SECRET &&
+                    REDIRECT_STATUS_CODES.has(response.status) &&
+                    location
+                ) {
+                    try {
+                        responseHeaders.set(
+                            "Location",
+                            new URL(location, finalUrl || targetUrl).href
+                        );
+                    } catch (e) {
+                        // Leave unparseable Location headers untouched
+                    }
+                } else if (
+                    redirectMode === "manual" &&
+                    REDIRECT_STATUS_CODES.has(response.status) &&
+                    location
+                ) {
+                    try {
+                        const absoluteLocation = new URL(location, finalUrl || targetUrl).href;
+                        responseHeaders.set(
+                            "Location",
+                            buildProxiedUrl(originUrl.origin, absoluteLocation, {
+                                redirect: "manual",
+                                ...(rewriteMode ? { rewrite: rewriteMode } : {})
+                            })
+                        );
+                    } catch (e) {
+                        // Leave unparseable Location headers untouched
+                    }
+                }
+
+                if (rateLimitResult) {
+                    setRateLimitHeaders(responseHeaders, rateLimitResult);
+                    exposedHeaders.push(...RATE_LIMIT_RESPONSE_HEADERS);
+                }
+
+                if (cacheStatus) {
+                    responseHeaders.set("X-Cors-Cache", cacheStatus);
+                    exposedHeaders.push("X-Cors-Cache");
+                }
+
+                responseHeaders.set("Access-Control-Expose-Headers", exposedHeaders.join(","));
+                responseHeaders.set("cors-received-headers", JSON.stringify(allResponseHeaders));
 
-                    exposedHeaders.push("cors-received-headers");
-                    setupCORSHeaders(responseHeaders);
+                return new Response(responseBody, {
+                    headers: responseHeaders,
+                    status: response.status,
+                    statusText: response.statusText
+                });
+            };
 
-                    responseHeaders.set("Access-Control-Expose-Headers", exposedHeaders.join(","));
-                    responseHeaders.set(
-                        "cors-received-headers",
-                        JSON.stringify(allResponseHeaders)
+            // Edge cache (CACHE_POLICY): only GETs without credentials are shared between clients
+            const clientCacheTtl = config.cachePolicy.allowClientOverride
+                ? getClientCacheTtl(request, originUrl)
+                : null;
+            let cacheStatus = null;
+            let edgeCacheKey = null;
+            let edgeCacheKeyHeaders = null;
+            if (
+                config.cachePolicy.enabled &&
+                typeof caches !== "undefined" &&
+                requestMethod.toUpperCase() === "GET" &&
+                redirectMode === "follow" &&
+                !rewriteMode
+            ) {
+                const hasCookies =
+                    request.headers.has("cookie") ||
+                    (customHeaders !== null &&
+                        typeof customHeaders === "object" &&
+                        Object.keys(customHeaders).some(key => key.toLowerCase() === "cookie"));
+
+                if (hasSensitiveHeaders || hasCookies || clientCacheTtl === 0) {
+                    cacheStatus = "BYPASS";
+                } else {
+                    edgeCacheKey = await buildEdgeCacheKey(
+                        originUrl,
+                        targetUrl,
+                        request,
+                        config.cachePolicy.varyHeaders,
+                        customHeaders
+                    );
+                    edgeCacheKeyHeaders = getEdgeCacheKeyHeaders(
+                        config.cachePolicy.varyHeaders,
+                        customHeaders
                     );
+                    cacheStatus = "MISS";
+                }
+            }
+
+            const cacheUpstreamResponse = async (response, responseBody, finalUrl) => {
+                const cacheTtl = getEdgeCacheTtl(response, config.cachePolicy, clientCacheTtl);
+                if (cacheTtl <= 0) {
+                    return;
+                }
+                // The upstream's answer depends on request headers the key doesn't include
+                if (!isVaryCoveredByCacheKey(response, edgeCacheKeyHeaders)) {
+                    log.debug("cache.skipped", {
+                        target: targetUrl,
+                        reason: `Vary: ${response.headers.get("vary")}`
+                    });
+                    return;
+                }
 
-                    // Check if this is a streaming response (for AI model streaming, SSE, etc.)
-                    const isStreaming = shouldStreamResponse(response, request, targetUrl);
+                try {
+                    await storeEdgeCacheEntry(
+                        edgeCacheKey,
+                        response,
+                        responseBody,
+                        cacheTtl,
+                        config.cachePolicy,
+                        finalUrl
+                    );
+                } catch (error) {
+                    log.warn("cache.write_failed", { target: targetUrl, error: error.message });
+                }
+            };
 
-                    // For streaming responses, pass through the stream directly
-                    // For non-streaming, buffer the response as before for backward compatibility
-                    let responseBody;
-                    if (isStreaming) {
-                        // Pass through the stream directly - don't buffer
-                        // This allows Server-Sent Events and chunked streaming to work properly
-                        responseBody = response.body;
-                    } else {
-                        // Buffer the response for non-streaming responses
-                        responseBody = await response.arrayBuffer();
+            // One summary log event and METRICS data point per proxied request, then the
+            // ?debug=1 / ?debug=json trace
+            const finishResponse = (
+                response,
+                outcome,
+                { servedBy, backupServer, streaming = false, ...fields } = {}
+            ) => {
+                const durationMs = Date.now() - startTime;
+                const responseCacheStatus = response.headers.get("X-Cors-Cache") || null;
+                const level =
+                    outcome === "error"
+                        ? "error"
+                        : outcome !== "ok" || response.status >= 500
+                        ? "warn"
+                        : "info";
+                log[level]("request.completed", {
+                    target: targetUrl,
+                    status: response.status,
+                    attempts: upstreamTrace.attempts.length,
+                    servedBy,
+                    backup: backupServer ? redactBackupTemplate(backupServer) : undefined,
+                    cache: responseCacheStatus || undefined,
+                    streaming: streaming || undefined,
+                    durationMs,
+                    outcome,
+                    ...fields
+                });
+                writeRequestMetrics(
+                    env,
+                    {
+                        host: new URL(targetUrl).host,
+                        origin: originHeader,
+                        method: requestMethod,
+                        status: response.status,
+                        outcome,
+                        attempts: upstreamTrace.attempts.length,
+                        servedBy,
+                        backupHost: backupServer ? getBackupHost(backupServer) : null,
+                        cacheStatus: responseCacheStatus,
+                        streaming,
+                        durationMs
+                    },
+                    log
+                );
+
+                // Streamed bodies (SSE, rewritten HTML) can't be buffered into the debug=json
+                // envelope without waiting for the upstream to finish; use the trace header
+                return debugMode
+                    ? applyDebugTrace(
+                          response,
+                          debugMode === "json" && streaming ? "header" : debugMode,
+                          upstreamTrace,
+                          setupCORSHeaders
+                      )
+                    : response;
+            };
+
+            // Stale-while-revalidate: refresh in the background, once per key per isolate
+            const revalidateEdgeCacheEntry = async () => {
+                if (cacheRevalidationsInFlight.has(edgeCacheKey.url)) {
+                    return;
+                }
+
+                cacheRevalidationsInFlight.add(edgeCacheKey.url);
+                try {
+                    const { response, finalUrl } = await fetchFromUpstream();
+                    await cacheUpstreamResponse(response, await response.arrayBuffer(), finalUrl);
+                } catch (error) {
+                    log.warn("cache.revalidate_failed", {
+                        target: targetUrl,
+                        error: error.message
+                    });
+                } finally {
+                    cacheRevalidationsInFlight.delete(edgeCacheKey.url);
+                }
+            };
+
+            try {
+                if (edgeCacheKey) {
+                    let cachedEntry = null;
+                    try {
+                        cachedEntry = await readEdgeCacheEntry(edgeCacheKey);
+                    } catch (error) {
+                        log.warn("cache.read_failed", { target: targetUrl, error: error.message });
                     }
 
-                    const duration = Date.now() - startTime;
+                    if (cachedEntry) {
+                        if (cachedEntry.stale) {
+                            ctx.waitUntil(revalidateEdgeCacheEntry());
+                        }
 
-                    // Keep only essential upstream failure logs.
-                    if (response.status >= 500) {
-                        console.warn(
-                            `[${new Date().toISOString()}] ⚠️  Upstream server error: ${targetUrl} | Status: ${
-                                response.status
-                            } ${response.statusText} | Duration: ${duration}ms | Method: ${
-                                request.method
-                            }`
+                        cachedEntry.response.headers.set("Age", String(cachedEntry.ageSeconds));
+                        return finishResponse(
+                            buildProxyResponse(cachedEntry.response, cachedEntry.body, {
+                                cacheStatus: cachedEntry.stale ? "STALE" : "HIT",
+                                finalUrl: cachedEntry.finalUrl
+                            }),
+                            "ok",
+                            { servedBy: "cache" }
                         );
                     }
+                }
 
-                    return new Response(responseBody, {
-                        headers: responseHeaders,
-                        status: response.status,
-                        statusText: response.statusText
+                const {
+                    response: upstreamResponse,
+                    attemptTarget: servedTarget,
+                    finalUrl
+                } = await fetchFromUpstream();
+
+                // ?rewrite=html: HTML is streamed through HTMLRewriter, CSS is rewritten in full
+                const upstreamContentType = (
+                    upstreamResponse.headers.get("content-type") || ""
+                ).toLowerCase();
+                const rewriteAsHtml =
+                    rewriteMode === "html" &&
+                    upstreamResponse.body !== null &&
+                    upstreamContentType.includes("text/html");
+                const rewriteAsCss =
+                    rewriteMode === "html" &&
+                    upstreamResponse.body !== null &&
+                    upstreamContentType.includes("text/css");
+
+                let response = upstreamResponse;
+                if (rewriteAsHtml || rewriteAsCss) {
+                    const rewriteBaseUrl = finalUrl || targetUrl;
+                    const rewrittenBody = rewriteAsHtml
+                        ? rewriteHtmlResponse(upstreamResponse, {
+                              baseUrl: rewriteBaseUrl,
+                              proxyOrigin: originUrl.origin,
+                              injectBase: injectBaseTag
+                          }).body
+                        : rewriteCssUrls(
+                              await upstreamResponse.text(),
+                              rewriteBaseUrl,
+                              originUrl.origin
+                          );
+
+                    const rewrittenHeaders = new Headers(upstreamResponse.headers);
+                    rewrittenHeaders.delete("content-length");
+                    response = new Response(rewrittenBody, {
+                        status: upstreamResponse.status,
+                        statusText: upstreamResponse.statusText,
+                        headers: rewrittenHeaders
                     });
                 }
 
-                // Should never happen, but keep a deterministic fallback
-                throw lastNetworkError || new Error("All upstream attempts failed");
-            } catch (error) {
-                const duration = Date.now() - startTime;
-                console.error(
-                    `[${new Date().toISOString()}] ❌ Error fetching ${targetUrl}: ${
-                        error.message
-                    } | Duration: ${duration}ms | Stack: ${error.stack}`
+                // Check if this is a streaming response (for AI model streaming, SSE, etc.)
+                // Rewritten HTML is always streamed so large pages are never buffered
+                const isStreaming =
+                    rewriteAsHtml || shouldStreamResponse(response, request, targetUrl);
+
+                // For streaming responses, pass through the stream directly
+                // For non-streaming, buffer the response as before for backward compatibility
+                let responseBody;
+                if (isStreaming) {
+                    // Pass through the stream directly - don't buffer
+                    // This allows Server-Sent Events and chunked streaming to work properly
+                    responseBody = response.body;
+                } else {
+                    // Buffer the response for non-streaming responses
+                    responseBody = await response.arrayBuffer();
+
+                    if (edgeCacheKey) {
+                        ctx.waitUntil(cacheUpstreamResponse(response, responseBody, finalUrl));
+                    }
+                }
+
+                return finishResponse(
+                    buildProxyResponse(response, responseBody, { cacheStatus, finalUrl }),
+                    response.status >= 400 ? "upstream_error" : "ok",
+                    {
+                        servedBy: servedTarget.mode,
+                        backupServer: servedTarget.backupServer,
+                        streaming: isStreaming
+                    }
                 );
+            } catch (error) {
+                if (error.accessDecision) {
+                    log.warn("request.blocked", {
+                        target: targetUrl,
+                        outcome: "redirect_not_allowed",
+                        rule: error.accessDecision.rule,
+                        reason: error.accessDecision.reason
+                    });
+                    return finishResponse(
+                        buildAccessDeniedResponse(error.accessDecision),
+                        "blocked",
+                        { error: error.message }
+                    );
+                }
+
+                if (error.targetSafetyViolation) {
+                    const blockedHeaders = new Headers();
+                    setupCORSHeaders(blockedHeaders);
+                    return finishResponse(
+                        new Response(error.message, {
+                            status: 403,
+                            statusText: "Forbidden",
+                            headers: blockedHeaders
+                        }),
+                        "blocked",
+                        { error: error.message }
+                    );
+                }
+
+                if (error.allAttemptsTimedOut) {
+                    const timeoutHeaders = new Headers();
+                    setupCORSHeaders(timeoutHeaders);
+                    setRateLimitHeaders(timeoutHeaders, rateLimitResult);
+                    return finishResponse(
+                        new Response(`Upstream timed out: ${error.message}`, {
+                            status: 504,
+                            statusText: "Gateway Timeout",
+                            headers: timeoutHeaders
+                        }),
+                        "timeout",
+                        { error: error.message }
+                    );
+                }
 
                 const errorHeaders = new Headers();
                 setupCORSHeaders(errorHeaders);
-                return new Response(`Error fetching target URL: ${error.message}`, {
-                    status: 502,
-                    statusText: "Bad Gateway",
-                    headers: errorHeaders
-                });
+                setRateLimitHeaders(errorHeaders, rateLimitResult);
+                return finishResponse(
+                    new Response(`Error fetching target URL: ${error.message}`, {
+                        status: 502,
+                        statusText: "Bad Gateway",
+                        headers: errorHeaders
+                    }),
+                    "error",
+                    { error: error.message, stack: error.stack }
+                );
             }
         } else if (!targetUrl) {
             // No target URL provided, show info page
@@ -1213,12 +5723,64 @@ export default {
                     }
                 } catch (e) {
                     // If date parsing fails, skip the timestamp
-                    console.warn(
-                        `[${new Date().toISOString()}] ⚠️  Failed to parse version timestamp: ${versionTimestamp}`
-                    );
+                    log.warn("version.invalid_timestamp", { versionTimestamp });
                 }
             }
 
+            const ipRateLimitWindows = config.rateLimits.ip.map(describeRateLimitWindow);
+            const rateLimitInfo =
+                ipRateLimitWindows.length === 0
+                    ? ["Limits: none"]
+                    : [
+                          `Limits: ${ipRateLimitWindows[0]}`,
+                          ...ipRateLimitWindows.slice(1).map(window => `        ${window}`),
+                          ...(env?.RATE_LIMIT_KV
+                              ? []
+                              : ["        (not enforced: RATE_LIMIT_KV binding missing)"])
+                      ];
+
+            const circuitBreaker = config.circuitBreakerPolicy;
+            const openCircuits = getBackupCircuitSnapshot().filter(
+                circuit => circuit.state !== "closed"
+            );
+            const circuitBreakerInfo = circuitBreaker.enabled
+                ? [
+                      `Backups skipped after ${circuitBreaker.failureThreshold} consecutive failures for ${circuitBreaker.cooldownSeconds}s, then probed (${circuitBreaker.halfOpenMaxProbes} at a time)`,
+                      `Tracked per ${
+                          circuitBreaker.perDomain ? "backup and target domain" : "backup"
+                      }`,
+                      ...(openCircuits.length === 0
+                          ? ["All backup circuits closed (this isolate)"]
+                          : openCircuits.map(
+                                circuit =>
+                                    `${describeBackupCircuitKey(circuit.circuitKey)}: ${
+                                        circuit.state
+                                    } since ${circuit.changedAt} (${
+                                        circuit.consecutiveFailures
+                                    } failures, last: ${circuit.lastFailure})`
+                            ))
+                  ]
+                : ["Circuit breaker disabled"];
+
+            const backupHealthSummary =
+                config.backupCorsServers.length > 0 ? await getBackupHealthSummary(env) : null;
+            const backupHealthInfo = backupHealthSummary
+                ? [
+                      `Health check: ${
+                          backupHealthSummary.results.filter(result => result.healthy).length
+                      }/${backupHealthSummary.results.length} backups healthy at ${
+                          backupHealthSummary.checkedAt
+                      } (unhealthy backups are skipped)`
+                  ]
+                : ["Health check: no results yet (runs on the cron trigger)"];
+
+            const backupSelectionInfo = {
+                "round-robin": "preferred stays first, others rotate",
+                random: "preferred stays first, others shuffled by weight",
+                weighted: "weight x per-domain success rate / latency averages in KV",
+                priority: "lowest priority first, shuffled by weight within a priority"
+            }[config.backupSelectionStrategy];
+
             const versionInfo = [
                 `Version: ${version}`,
                 ...(versionId ? [`Version ID: ${versionId}`] : []),
@@ -1241,17 +5803,100 @@ export default {
                 `${originUrl.origin}/?url={targetUrl}`,
                 `or: ${originUrl.origin}/?{targetUrl}`,
                 `allow sensitive headers for backup: ${originUrl.origin}/?url={targetUrl}&allowSensitive=true`,
+                `redirect handling: ${originUrl.origin}/?url={targetUrl}&redirect=follow|manual|error (final URL in X-Cors-Final-Url)`,
+                `WebSocket: connect to ${originUrl.origin.replace(
+                    /^http/,
+                    "ws"
+                )}/?url=wss://{host}/{path}`,
+                `rewrite HTML links/assets through the proxy: ${originUrl.origin}/?url={targetUrl}&rewrite=html (add &base=true to inject <base>)`,
+                `API key: send x-cors-api-key header or ${
+                    originUrl.origin
+                }/?url={targetUrl}&apiKey={key}${
+                    config.apiKeyRequired ? " (required)" : " (optional)"
+                }`,
+                `debug trace: ${
+                    originUrl.origin
+                }/?url={targetUrl}&debug=1 (X-Cors-Trace header) or &debug=json${
+                    config.debugTraceEnabled ? "" : " (API keys with allowDebug only)"
+                }`,
+                `dry run: ${originUrl.origin}/?url={targetUrl}&dryRun=true (JSON description of the upstream requests, nothing is sent)`,
+                `health/status: ${originUrl.origin}/__health (liveness) and ${originUrl.origin}/__status (JSON report, ADMIN_TOKEN required)`,
+                `signed URLs: ${
+                    env?.SIGNING_SECRET
+                        ? "required (?url={targetUrl}&exp={unixSeconds}&sig={hmac} covering every query parameter, see /__admin/sign)"
+                        : "off"
+                }`,
+                `upstream credentials: ${config.upstreamCredentials.length} rule(s) in UPSTREAM_CREDENTIALS (injected into direct requests only)`,
+                `strict origin: ${
+                    config.requireOrigin
+                        ? `on (Origin or Referer required, ${config.originBypassTokens.length} bypass token(s) via x-cors-bypass-token)`
+                        : "off (requests without Origin are allowed)"
+                }`,
+                `cors policy: ${
+                    config.corsPolicy.length
+                } rule(s) in CORS_POLICY; this origin uses ${
+                    corsRule === DEFAULT_CORS_RULE
+                        ? "the default rule"
+                        : corsRule === DENIED_CORS_RULE
+                        ? "no rule (no CORS headers)"
+                        : "a matching rule"
+                } (credentials ${corsRule.allowCredentials ? "allowed" : "not allowed"}, max-age ${
+                    corsRule.maxAge
+                }s)`,
+                `config source: ${
+                    config.source.type === "kv"
+                        ? `CONFIG_KV "${config.source.key}" (loaded ${config.source.loadedAt})`
+                        : "env vars"
+                }${config.source.error ? " - latest document rejected, see /__status" : ""}`,
+                `admin: ${originUrl.origin}/__admin/{config|backups|preferred} ${
+                    env?.ADMIN_TOKEN
+                        ? "(Authorization: Bearer ADMIN_TOKEN)"
+                        : "(disabled, set ADMIN_TOKEN)"
+                }`,
+                `timeout: send x-cors-timeout: {ms} header${
+                    config.totalTimeoutMs ? ` (max ${config.totalTimeoutMs}ms)` : ""
+                }; each attempt times out after ${
+                    config.attemptTimeoutMs ? `${config.attemptTimeoutMs}ms` : "no limit"
+                }, 504 when all attempts time out`,
                 "",
                 "Backup:",
                 "BACKUP_CORS_SERVERS must contain {url} placeholder",
                 'Supports per-backup headers: {"url":"...","headers":{"x-cors-api-key":"..."}}',
-                "Retryable statuses: 403 + 502 + 503",
-                "Backup servers rotate each request (preferred stays first, others rotate)",
+                `Retryable statuses: ${Array.from(config.retryPolicy.retryableStatuses).join(
+                    " + "
+                )} (RETRY_POLICY)`,
+                `Non-idempotent methods (POST, PATCH) are ${
+                    {
+                        "idempotency-key": "only retried with an Idempotency-Key header",
+                        always: "always retried",
+                        never: "never retried"
+                    }[config.retryPolicy.nonIdempotent]
+                }`,
+                `Backup selection: ${config.backupSelectionStrategy} (${backupSelectionInfo})`,
+                ...(config.hedgeDelayMs > 0
+                    ? [
+                          `Hedging: GET/HEAD race the first backup after ${config.hedgeDelayMs}ms without a direct response`
+                      ]
+                    : []),
                 "Successful backup is cached as preferred for 15 minutes per domain (KV)",
                 "Sensitive headers block backup by default (override with allowSensitive=true)",
+                ...backupHealthInfo,
+                "",
+                "Circuit breaker:",
+                ...circuitBreakerInfo,
                 "",
-                "Limits: 100,000 requests/day",
-                "          1,000 requests/10 minutes",
+                "Cache:",
+                config.cachePolicy.enabled
+                    ? config.cachePolicy.allowClientOverride
+                        ? `Edge cache enabled for GET (override TTL: ${originUrl.origin}/?url={targetUrl}&cache=300 or x-cors-cache-ttl header)`
+                        : "Edge cache enabled for GET (TTL from upstream Cache-Control)"
+                    : "Edge cache disabled (set CACHE_POLICY to enable)",
+                "",
+                "Security:",
+                "Private, loopback, link-local and metadata addresses are blocked (every redirect hop is re-checked)",
+                "Only ports 80/443 are allowed unless exempted via TARGET_SAFETY_EXCEPTIONS",
+                "",
+                ...rateLimitInfo,
                 "",
                 ...(originHeader ? [`Origin: ${originHeader}`] : []),
                 `IP: ${connectingIp || "unknown"}`,
@@ -1268,24 +5913,50 @@ export default {
                 headers: responseHeaders
             });
         } else {
-            console.warn(
-                `[${new Date().toISOString()}] ⚠️  Request blocked: URL not whitelisted or origin not allowed | Target: ${targetUrl} | Origin: ${originHeader ||
-                    "none"}`
-            );
+            log.warn("request.blocked", {
+                target: targetUrl,
+                outcome: "not_allowed",
+                rule: accessDecision.rule,
+                reason: accessDecision.reason
+            });
 
-            const errorHeaders = new Headers();
-            setupCORSHeaders(errorHeaders);
-            errorHeaders.set("Content-Type", "text/html");
+            // A dry run reports which list rejected the request
+            if (dryRun && targetUrl && (config.debugTraceEnabled || apiKeyPolicy?.allowDebug)) {
+                const dryRunHeaders = new Headers({
+                    "Content-Type": "application/json; charset=utf-8"
+                });
+                setupCORSHeaders(dryRunHeaders);
+                return new Response(
+                    JSON.stringify(
+                        {
+                            dryRun: true,
+                            method: request.method,
+                            target: targetUrl,
+                            access: describeAccessDecision(
+                                accessDecision,
+                                targetUrl,
+                                accessOrigin,
+                                config
+                            ),
+                            attempts: []
+                        },
+                        null,
+                        2
+                    ),
+                    { status: 403, statusText: "Forbidden", headers: dryRunHeaders }
+                );
+            }
 
-            return new Response(
-                "Create your own CORS proxy<br>\n" +
-                    "<a href='https://github.com/rozx/cloudflare-cors-anywhere'>https://github.com/rozx/cloudflare-cors-anywhere</a><br>\n",
-                {
-                    status: 403,
-                    statusText: "Forbidden",
-                    headers: errorHeaders
-                }
-            );
+            return recordEarlyResponse(buildAccessDeniedResponse(accessDecision), "blocked");
         }
+    },
+
+    // Cron trigger (see [triggers] in wrangler.toml): probe backup servers and refresh KV
+    async scheduled(controller, env, ctx) {
+        ctx.waitUntil(
+            runBackupHealthChecks(env).catch(error => {
+                rootLogger.error("health.failed", { error: error.message, stack: error.stack });
+            })
+        );
     }
 };
@@ -0,0 +1,185 @@
+/*
+Signed, expiring proxy URLs (SIGNING_SECRET).
+
+The worker verifies ?exp= and ?sig= with verifyProxyUrlSignature; anything that hands out proxy
+URLs (a backend, a build step, the /__admin/sign route) creates them with signProxyUrl:
+
+    import { signProxyUrl } from "./signing.js";
+    const { url } = await signProxyUrl({
+        proxyOrigin: "https://cors.example.workers.dev",
+        targetUrl: "https://api.example.com/data",
+        secret: process.env.SIGNING_SECRET,
+        expiresIn: 3600,
+        params: { redirect: "manual" }
+    });
+
+The signature covers every query parameter of the proxy URL, so none can be added or changed.
+
+Only WebCrypto is used, so this module runs in Workers, browsers and Node.js 19+.
+*/
+
+const textEncoder = new TextEncoder();
+
+// Query parameters outside the signed set: the signature itself, the fields that have their own
+// line in the payload, and the client's own ?apiKey= credential
+const UNSIGNED_PARAMS = new Set(["url", "exp", "sig", "apiKey"]);
+
+// Trim a raw target and prepend https:// when it has no http(s) or ws(s) scheme; the worker
+// applies this to ?url= before its safety checks
+export function normalizeTargetUrlInput(targetUrl) {
+    const trimmedTarget = String(targetUrl).trim();
+    return /^(https?|wss?):\/\//i.test(trimmedTarget) ? trimmedTarget : `https://${trimmedTarget}`;
+}
+
+// Same normalization the worker applies to ?url= before the signature is checked
+export function normalizeSignedTargetUrl(targetUrl) {
+    return new URL(normalizeTargetUrlInput(targetUrl)).href;
+}
+
+function importSigningKey(secret) {
+    return crypto.subtle.importKey(
+        "raw",
+        textEncoder.encode(secret),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign", "verify"]
+    );
+}
+
+// The other proxy parameters in a stable order: sorted by name, then value, form-encoded
+function canonicalizeSignedParams(searchParams) {
+    const entries = Array.from(searchParams).filter(([name]) => !UNSIGNED_PARAMS.has(name));
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    entries.sort(([nameA, valueA], [nameB, valueB]) =>
+        nameA === nameB ? compare(valueA, valueB) : compare(nameA, nameB)
+    );
+    return new URLSearchParams(entries).toString();
+}
+
+// The signed message: method, expiry, target and the other proxy parameters, one per line
+function buildSignaturePayload(targetUrl, method, expiresAt, searchParams) {
+    return textEncoder.encode(
+        `${method.toUpperCase()}\n${expiresAt}\n${targetUrl}\n${canonicalizeSignedParams(
+            searchParams
+        )}`
+    );
+}
+
+function toBase64Url(buffer) {
+    let binary = "";
+    new Uint8Array(buffer).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary)
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+function fromBase64Url(value) {
+    try {
+        const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+        return Uint8Array.from(binary, character => character.charCodeAt(0));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create a signed proxy URL: {proxyOrigin}/?url={targetUrl}&{params}&exp={expiresAt}&sig={sig}
+ *
+ * @param {Object} options
+ * @param {string} options.proxyOrigin - Origin of the worker, e.g. "https://cors.example.workers.dev"
+ * @param {string} options.targetUrl - URL to proxy (https:// is prepended when missing)
+ * @param {string} options.secret - The worker's SIGNING_SECRET
+ * @param {string} [options.method="GET"] - HTTP method the URL may be used with
+ * @param {number} [options.expiresIn=3600] - Lifetime in seconds (ignored when expiresAt is set)
+ * @param {number} [options.expiresAt] - Expiry as a Unix timestamp in seconds
+ * @param {Object} [options.params] - Other proxy query parameters to sign, e.g. { rewrite: "html" }
+ * @returns {Promise<{url: string, targetUrl: string, method: string, expiresAt: number}>}
+ */
+export async function signProxyUrl({
+    proxyOrigin,
+    targetUrl,
+    secret,
+    method = "GET",
+    expiresIn = 3600,
+    expiresAt,
+    params = {}
+}) {
+    if (!secret) {
+        throw new Error("signProxyUrl requires the signing secret");
+    }
+
+    const normalizedTargetUrl = normalizeSignedTargetUrl(targetUrl);
+    const upperMethod = method.toUpperCase();
+    const expiry =
+        expiresAt !== undefined ? Math.floor(expiresAt) : Math.floor(Date.now() / 1000) + expiresIn;
+    if (!Number.isInteger(expiry) || expiry <= 0) {
+        throw new Error("signProxyUrl requires a positive expiresAt / expiresIn");
+    }
+    const reservedParam = Object.keys(params).find(name => UNSIGNED_PARAMS.has(name));
+    if (reservedParam) {
+        throw new Error(`signProxyUrl can't sign the ${reservedParam} parameter`);
+    }
+
+    const url = new URL("/", proxyOrigin);
+    url.searchParams.set("url", normalizedTargetUrl);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, String(value)));
+    url.searchParams.set("exp", String(expiry));
+
+    const key = await importSigningKey(secret);
+    const signature = await crypto.subtle.sign(
+        "HMAC",
+        key,
+        buildSignaturePayload(normalizedTargetUrl, upperMethod, expiry, url.searchParams)
+    );
+
+    url.searchParams.set("sig", toBase64Url(signature));
+    return {
+        url: url.href,
+        targetUrl: normalizedTargetUrl,
+        method: upperMethod,
+        expiresAt: expiry
+    };
+}
+
+/**
+ * Check a request's ?exp= and ?sig= against its (normalized) target URL, its method and the
+ * other query parameters of the proxy URL (`searchParams`).
+ * Returns null when the signature is valid and unexpired, otherwise the reason it isn't.
+ */
+export async function verifyProxyUrlSignature(
+    secret,
+    targetUrl,
+    method,
+    searchParams,
+    now = Date.now()
+) {
+    const expiresAt = searchParams.get("exp");
+    const signature = searchParams.get("sig");
+    if (!expiresAt || !signature) {
+        return "missing exp or sig parameter";
+    }
+    if (!/^\d+$/.test(expiresAt)) {
+        return "exp must be a Unix timestamp in seconds";
+    }
+    if (Number(expiresAt) * 1000 <= now) {
+        return "signed URL has expired";
+    }
+
+    const signatureBytes = fromBase64Url(signature);
+    if (!signatureBytes) {
+        return "invalid signature";
+    }
+
+    // crypto.subtle.verify compares in constant time
+    const key = await importSigningKey(secret);
+    const valid = await crypto.subtle.verify(
+        "HMAC",
+        key,
+        signatureBytes,
+        buildSignaturePayload(targetUrl, method, expiresAt, searchParams)
+    );
+    return valid ? null : "invalid signature";
+}
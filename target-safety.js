@@ -0,0 +1,246 @@
+/*
+Target safety checks (SSRF protection).
+
+The worker runs checkTargetSafety on every target URL and on every redirect hop before it
+connects, so a public proxy can't be pointed at the network it runs in:
+
+    import { checkTargetSafety } from "./target-safety.js";
+    const { allowed, reason } = checkTargetSafety("http://169.254.169.254/", []);
+    // allowed === false, reason === "reserved IPv4 range 169.254.0.0/16"
+
+Hostnames are checked as written; DNS is not resolved here.
+*/
+
+const ALLOWED_TARGET_PORTS = new Set(["", "80", "443"]); // "" = default port for the scheme
+
+// Reserved IPv4 ranges as [network, prefixLength]
+const BLOCKED_IPV4_RANGES = [
+    ["0.0.0.0", 8], // "this" network
+    ["10.0.0.0", 8], // private
+    ["100.64.0.0", 10], // carrier-grade NAT
+    ["127.0.0.0", 8], // loopback
+    ["169.254.0.0", 16], // link-local (includes 169.254.169.254 cloud metadata)
+    ["172.16.0.0", 12], // private
+    ["192.0.0.0", 24], // IETF protocol assignments
+    ["192.0.2.0", 24], // TEST-NET-1
+    ["192.88.99.0", 24], // 6to4 relay anycast
+    ["192.168.0.0", 16], // private
+    ["198.18.0.0", 15], // benchmarking
+    ["198.51.100.0", 24], // TEST-NET-2
+    ["203.0.113.0", 24], // TEST-NET-3
+    ["224.0.0.0", 4], // multicast
+    ["240.0.0.0", 4] // reserved + broadcast
+];
+
+// Reserved IPv6 ranges as [network, prefixLength]
+const BLOCKED_IPV6_RANGES = [
+    ["::", 128], // unspecified
+    ["::1", 128], // loopback
+    ["100::", 64], // discard-only
+    ["2001::", 32], // Teredo
+    ["2001:db8::", 32], // documentation
+    ["fc00::", 7], // unique local
+    ["fe80::", 10], // link-local
+    ["fec0::", 10], // deprecated site-local
+    ["ff00::", 8] // multicast
+];
+
+// Hostnames that resolve to loopback or internal-only services
+const BLOCKED_TARGET_HOSTNAME_PATTERNS = [
+    /^localhost$/,
+    /\.localhost$/,
+    /\.local$/,
+    /\.localdomain$/,
+    /\.internal$/,
+    /\.home\.arpa$/,
+    /(^|\.)localtest\.me$/,
+    /(^|\.)lvh\.me$/
+];
+
+function parseIpv4Address(hostname) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(hostname);
+    if (!match) {
+        return null;
+    }
+
+    const octets = match.slice(1).map(Number);
+    if (octets.some(octet => octet > 255)) {
+        return null;
+    }
+
+    return octets;
+}
+
+function parseIpv6Address(hostname) {
+    let address = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (!address.includes(":")) {
+        return null;
+    }
+
+    // Embedded IPv4 suffix (e.g. ::ffff:127.0.0.1) becomes two 16-bit groups
+    const embeddedIpv4Match = /(\d{1,3}(?:\.\d{1,3}){3})$/.exec(address);
+    if (embeddedIpv4Match) {
+        const octets = parseIpv4Address(embeddedIpv4Match[1]);
+        if (!octets) {
+            return null;
+        }
+        address =
+            address.slice(0, embeddedIpv4Match.index) +
+            ((octets[0] << 8) | octets[1]).toString(16) +
+            ":" +
+            ((octets[2] << 8) | octets[3]).toString(16);
+    }
+
+    const halves = address.split("::");
+    if (halves.length > 2) {
+        return null;
+    }
+
+    const head = halves[0] ? halves[0].split(":") : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+    const missingGroups = 8 - head.length - tail.length;
+    if ((halves.length === 1 && missingGroups !== 0) || missingGroups < 0) {
+        return null;
+    }
+
+    const groups = [...head, ...new Array(missingGroups).fill("0"), ...tail];
+    if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) {
+        return null;
+    }
+
+    return groups.map(group => Number.parseInt(group, 16));
+}
+
+function isInIpv4Range(octets, [network, prefixLength]) {
+    const networkOctets = parseIpv4Address(network);
+    for (let bit = 0; bit < prefixLength; bit++) {
+        const mask = 0x80 >> bit % 8;
+        const byteIndex = Math.floor(bit / 8);
+        if ((octets[byteIndex] & mask) !== (networkOctets[byteIndex] & mask)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function isInIpv6Range(groups, [network, prefixLength]) {
+    const networkGroups = parseIpv6Address(network);
+    for (let bit = 0; bit < prefixLength; bit++) {
+        const mask = 0x8000 >> bit % 16;
+        const groupIndex = Math.floor(bit / 16);
+        if ((groups[groupIndex] & mask) !== (networkGroups[groupIndex] & mask)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getBlockedIpv4Reason(octets) {
+    const blockedRange = BLOCKED_IPV4_RANGES.find(range => isInIpv4Range(octets, range));
+    return blockedRange ? `reserved IPv4 range ${blockedRange[0]}/${blockedRange[1]}` : null;
+}
+
+function getBlockedIpv6Reason(groups) {
+    // IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96) and NAT64 (64:ff9b::/96)
+    // addresses carry an IPv4 address in the last 32 bits - check that instead
+    const embedsIpv4 =
+        groups.slice(0, 5).every(group => group === 0) &&
+        (groups[5] === 0xffff || (groups[5] === 0 && (groups[6] !== 0 || groups[7] > 1)));
+    const isNat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(g => !g);
+    if (embedsIpv4 || isNat64) {
+        const embeddedOctets = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+        const embeddedReason = getBlockedIpv4Reason(embeddedOctets);
+        return embeddedReason ? `IPv6 address embedding ${embeddedReason}` : null;
+    }
+
+    // 6to4 (2002::/16) embeds an IPv4 address in bits 16-47
+    if (groups[0] === 0x2002) {
+        const embeddedOctets = [groups[1] >> 8, groups[1] & 0xff, groups[2] >> 8, groups[2] & 0xff];
+        const embeddedReason = getBlockedIpv4Reason(embeddedOctets);
+        return embeddedReason ? `6to4 address embedding ${embeddedReason}` : null;
+    }
+
+    const blockedRange = BLOCKED_IPV6_RANGES.find(range => isInIpv6Range(groups, range));
+    return blockedRange ? `reserved IPv6 range ${blockedRange[0]}/${blockedRange[1]}` : null;
+}
+
+function extractRawHostname(rawUrl) {
+    const match = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#\\]*@)?(\[[^\]]*\]|[^:/?#\\]*)/i.exec(rawUrl);
+    return match ? match[1].toLowerCase().replace(/\.$/, "") : null;
+}
+
+/**
+ * Check whether a target URL is safe to fetch from the worker (SSRF protection)
+ *
+ * Rejects by default:
+ * - Schemes other than http(s) and ws(s)
+ * - Private, loopback, link-local, metadata and other reserved IPv4/IPv6 addresses
+ *   (including IPv4-mapped / 6to4 / NAT64 IPv6 forms)
+ * - Numeric host encodings that are not canonical dotted IPv4 (e.g. 2130706433, 0x7f.1, 0177.0.0.1)
+ * - localhost-style and internal-only hostnames, and single-label hostnames
+ * - Ports other than 80/443
+ *
+ * URLs matching a TARGET_SAFETY_EXCEPTIONS pattern skip all checks.
+ *
+ * @param {string} rawUrl - The target URL as received (before normalization)
+ * @param {Array<string>} exceptions - Regex patterns for exempt target URLs
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+export function checkTargetSafety(rawUrl, exceptions) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(rawUrl);
+    } catch (e) {
+        return { allowed: false, reason: "invalid URL" };
+    }
+
+    if (Array.isArray(exceptions) && exceptions.some(pattern => parsedUrl.href.match(pattern))) {
+        return { allowed: true, reason: null };
+    }
+
+    if (!["http:", "https:", "ws:", "wss:"].includes(parsedUrl.protocol)) {
+        return { allowed: false, reason: `unsupported scheme ${parsedUrl.protocol}` };
+    }
+
+    if (!ALLOWED_TARGET_PORTS.has(parsedUrl.port)) {
+        return { allowed: false, reason: `non-standard port ${parsedUrl.port}` };
+    }
+
+    const hostname = parsedUrl.hostname.toLowerCase().replace(/\.$/, "");
+
+    if (hostname.startsWith("[")) {
+        const groups = parseIpv6Address(hostname);
+        if (!groups) {
+            return { allowed: false, reason: "unparseable IPv6 address" };
+        }
+        const ipv6Reason = getBlockedIpv6Reason(groups);
+        return ipv6Reason
+            ? { allowed: false, reason: ipv6Reason }
+            : { allowed: true, reason: null };
+    }
+
+    const octets = parseIpv4Address(hostname);
+    if (octets) {
+        // The URL parser turns decimal/hex/octal/short forms into dotted IPv4,
+        // so compare against what was actually sent to catch obfuscated hosts
+        const rawHostname = extractRawHostname(rawUrl);
+        if (rawHostname !== null && rawHostname !== hostname) {
+            return { allowed: false, reason: `numeric host encoding ${rawHostname}` };
+        }
+
+        const ipv4Reason = getBlockedIpv4Reason(octets);
+        return ipv4Reason
+            ? { allowed: false, reason: ipv4Reason }
+            : { allowed: true, reason: null };
+    }
+
+    if (!hostname.includes(".")) {
+        return { allowed: false, reason: `single-label hostname ${hostname}` };
+    }
+
+    if (BLOCKED_TARGET_HOSTNAME_PATTERNS.some(pattern => pattern.test(hostname))) {
+        return { allowed: false, reason: `internal hostname ${hostname}` };
+    }
+
+    return { allowed: true, reason: null };
+}
@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { evaluateAccess, normalizeAccessRules, parseAccessTarget } from "../access.js";
+import { callWorker, mockUpstream } from "./support.js";
+
+function configWith({ accessRules = [], whitelistOrigins = [".*"], blacklistUrls = [] }) {
+    return { accessRules: normalizeAccessRules(accessRules), whitelistOrigins, blacklistUrls };
+}
+
+test("parseAccessTarget turns host globs into scheme, host and path prefix", () => {
+    const target = parseAccessTarget("https://*.example.com/v1/", "target");
+    assert.equal(target.scheme, "https:");
+    assert.equal(target.pathPrefix, "/v1/");
+    assert.ok(target.host.test("api.example.com"));
+    assert.ok(target.host.test("API.Example.com"));
+    assert.ok(!target.host.test("example.com.evil.net"));
+
+    assert.equal(parseAccessTarget("example.com", "target").scheme, null);
+    assert.equal(parseAccessTarget("example.com", "target").pathPrefix, "/");
+    assert.ok(parseAccessTarget({ regex: "^https://x\\.test/" }, "target").regex instanceof RegExp);
+});
+
+test("parseAccessTarget rejects malformed targets with the field name", () => {
+    assert.throws(() => parseAccessTarget("", "ACCESS_RULES[0].targets[0]"), /targets\[0\]/);
+    assert.throws(() => parseAccessTarget(42, "t"), /host glob string/);
+    assert.throws(() => parseAccessTarget({ regex: "(" }, "t"), /t\.regex is not a valid regex/);
+});
+
+test("ACCESS_RULES allow listed targets and methods for matching origins", () => {
+    const config = configWith({
+        accessRules: [
+            {
+                name: "app",
+                origins: ["^https://app\\.example\\.com$"],
+                targets: ["api.example.com/v1"],
+                methods: ["GET", "post"]
+            }
+        ],
+        whitelistOrigins: ["^https://legacy\\.example\\.com$"]
+    });
+    const origin = "https://app.example.com";
+
+    assert.deepEqual(evaluateAccess("https://api.example.com/v1/users", origin, "GET", config), {
+        allowed: true,
+        rule: "app"
+    });
+    assert.equal(
+        evaluateAccess("https://api.example.com/v1", origin, "POST", config).allowed,
+        true
+    );
+
+    const otherHost = evaluateAccess("https://other.example.com/v1", origin, "GET", config);
+    assert.equal(otherHost.allowed, false);
+    assert.equal(otherHost.reason, "target is not allowed for this origin");
+
+    const wrongMethod = evaluateAccess("https://api.example.com/v1", origin, "DELETE", config);
+    assert.equal(wrongMethod.allowed, false);
+    assert.equal(wrongMethod.reason, "method DELETE is not allowed for this target");
+});
+
+test("path prefixes end at a segment boundary", () => {
+    const config = configWith({
+        accessRules: [
+            { origins: [".*"], targets: ["api.example.com/v1", "cdn.example.com/assets/"] }
+        ]
+    });
+    const allowed = url => evaluateAccess(url, "https://app.test", "GET", config).allowed;
+
+    assert.equal(allowed("https://api.example.com/v1"), true);
+    assert.equal(allowed("https://api.example.com/v1/items"), true);
+    assert.equal(allowed("https://api.example.com/v10"), false);
+    assert.equal(allowed("https://api.example.com/v1-internal/secrets"), false);
+    assert.equal(allowed("https://cdn.example.com/assets/logo.png"), true);
+    assert.equal(allowed("https://cdn.example.com/assets"), false);
+});
+
+test("BLACKLIST_URLS wins over a matching rule", () => {
+    const config = configWith({
+        accessRules: [{ origins: [".*"], targets: ["*.example.com"] }],
+        blacklistUrls: ["^https://admin\\.example\\.com"]
+    });
+
+    const decision = evaluateAccess("https://admin.example.com/", "https://a.test", "GET", config);
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.rule, "BLACKLIST_URLS");
+});
+
+test("origins without a rule fall back to WHITELIST_ORIGINS", () => {
+    const config = configWith({
+        accessRules: [
+            { name: "app", origins: ["^https://app\\.test$"], targets: ["api.example.com"] }
+        ],
+        whitelistOrigins: ["^https://legacy\\.test$"]
+    });
+
+    assert.deepEqual(
+        evaluateAccess("https://anything.example.org/", "https://legacy.test", "PUT", config),
+        { allowed: true, rule: "WHITELIST_ORIGINS" }
+    );
+    assert.equal(
+        evaluateAccess("https://anything.example.org/", "https://stranger.test", "GET", config)
+            .allowed,
+        false
+    );
+    // Requests without an Origin header keep the legacy behaviour
+    assert.equal(evaluateAccess("https://x.example.org/", null, "GET", config).allowed, true);
+});
+
+test("normalizeAccessRules rejects malformed rules with the field name", () => {
+    assert.throws(() => normalizeAccessRules({}), /JSON array of rules/);
+    assert.throws(
+        () => normalizeAccessRules([{ origins: [], targets: ["x.test"] }]),
+        /ACCESS_RULES\[0\]\.origins/
+    );
+    assert.throws(
+        () => normalizeAccessRules([{ origins: [".*"], targets: ["x.test"], methods: "GET" }]),
+        /ACCESS_RULES\[0\]\.methods/
+    );
+    assert.throws(
+        () => normalizeAccessRules([{ name: "caf\u00e9", origins: [".*"], targets: ["x.test"] }]),
+        /printable ASCII/
+    );
+});
+
+test("the worker refuses denied requests with 403 and names the rule", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+    const env = {
+        ACCESS_RULES: JSON.stringify([
+            { name: "app", origins: ["^https://app\\.test$"], targets: ["api.example.com"] }
+        ])
+    };
+    const send = url => callWorker(url, { env, headers: { Origin: "https://app.test" } });
+
+    assert.equal((await send("https://proxy.test/?url=https://api.example.com/a")).status, 200);
+
+    const denied = await send("https://proxy.test/?url=https://other.example.com/a");
+    assert.equal(denied.status, 403);
+    assert.equal(denied.headers.get("X-Cors-Denied-By"), "app");
+    assert.equal(calls.length, 1);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, mockUpstream } from "./support.js";
+
+// Circuit state lives in the isolate, so every test uses its own backup host
+function envWith(backupHost, circuitBreaker) {
+    return {
+        BACKUP_CORS_SERVERS: JSON.stringify([`https://${backupHost}/?url={url}`]),
+        MAX_RETRY_ATTEMPTS: "1",
+        CIRCUIT_BREAKER: JSON.stringify(circuitBreaker)
+    };
+}
+
+// Direct always answers 503; the backup answers with whatever backupStatus() says
+function mockDirectDown(t, backupHost, backupStatus) {
+    const calls = mockUpstream(t, url =>
+        new URL(url).host === backupHost
+            ? new Response("from backup", { status: backupStatus() })
+            : new Response("down", { status: 503 })
+    );
+    return () => calls.filter(call => new URL(call.url).host === backupHost).length;
+}
+
+const send = env => callWorker("https://proxy.test/?url=https://api.example.com/data", { env });
+
+test("a backup is skipped once it has failed failureThreshold times in a row", async t => {
+    const env = envWith("cb-open.test", { failureThreshold: 2, cooldownSeconds: 60 });
+    const backupCalls = mockDirectDown(t, "cb-open.test", () => 502);
+
+    await send(env);
+    await send(env);
+    assert.equal(backupCalls(), 2);
+
+    const response = await send(env);
+    assert.equal(response.status, 503);
+    assert.equal(backupCalls(), 2);
+});
+
+test("after the cooldown one half-open probe is let through and closes the circuit", async t => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const env = envWith("cb-probe.test", {
+        failureThreshold: 1,
+        cooldownSeconds: 30,
+        halfOpenMaxProbes: 1
+    });
+    let backupStatus = 502;
+    const backupCalls = mockDirectDown(t, "cb-probe.test", () => backupStatus);
+
+    await send(env);
+    await send(env);
+    assert.equal(backupCalls(), 1);
+
+    t.mock.timers.tick(30 * 1000);
+    backupStatus = 200;
+    const probe = await send(env);
+    assert.equal(probe.status, 200);
+    assert.equal(await probe.text(), "from backup");
+
+    // Closed again: the backup is used without waiting for another cooldown
+    await send(env);
+    assert.equal(backupCalls(), 3);
+});
+
+test("a failed half-open probe re-opens the circuit", async t => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const env = envWith("cb-reopen.test", { failureThreshold: 1, cooldownSeconds: 30 });
+    const backupCalls = mockDirectDown(t, "cb-reopen.test", () => 503);
+
+    await send(env);
+    t.mock.timers.tick(30 * 1000);
+    await send(env);
+    assert.equal(backupCalls(), 2);
+
+    await send(env);
+    assert.equal(backupCalls(), 2);
+});
+
+test("perDomain circuits only skip the backup for the failing target domain", async t => {
+    const env = envWith("cb-domain.test", { failureThreshold: 1, perDomain: true });
+    const backupCalls = mockDirectDown(t, "cb-domain.test", () => 503);
+
+    await send(env);
+    await send(env);
+    assert.equal(backupCalls(), 1);
+
+    await callWorker("https://proxy.test/?url=https://other.example.org/", { env });
+    assert.equal(backupCalls(), 2);
+});
+
+test("enabled: false never skips a backup", async t => {
+    const env = envWith("cb-off.test", { enabled: false, failureThreshold: 1 });
+    const backupCalls = mockDirectDown(t, "cb-off.test", () => 503);
+
+    for (let i = 0; i < 3; i++) {
+        await send(env);
+    }
+    assert.equal(backupCalls(), 3);
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, logEvents, makeKv, mockUpstream } from "./support.js";
+
+const target = "https://proxy.test/?url=https://api.example.com/data";
+
+// The compiled document is cached per isolate by key, so every test uses its own key
+function kvEnv(key, document, extra = {}) {
+    const kv = makeKv({ [key]: JSON.stringify(document) });
+    return { kv, env: { CONFIG_KV: kv, CONFIG_KV_KEY: key, ...extra } };
+}
+
+function eventsNamed(name) {
+    return logEvents.filter(event => event.event === name);
+}
+
+test("a valid document is layered over the env vars", async t => {
+    const calls = mockUpstream(t, () => new Response("busy", { status: 503 }));
+    const { env } = kvEnv("config-valid", { MAX_RETRY_ATTEMPTS: 0 }, { MAX_RETRY_ATTEMPTS: "3" });
+
+    const response = await callWorker(target, { env });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test("documents with unknown keys, wrong types or bad values are rejected", async t => {
+    const calls = mockUpstream(t, () => new Response("busy", { status: 503 }));
+    const rejected = [
+        { MAX_RETRY_ATTEMPTS: 0, NOT_A_SETTING: true },
+        { MAX_RETRY_ATTEMPTS: "zero" },
+        { MAX_RETRY_ATTEMPTS: 0, BLACKLIST_URLS: ["("] },
+        { MAX_RETRY_ATTEMPTS: 0, BACKUP_CORS_SERVERS: ["https://exa mple.com/?url={url}"] }
+    ];
+
+    for (const [index, document] of rejected.entries()) {
+        logEvents.length = 0;
+        calls.length = 0;
+        const { env } = kvEnv(`config-rejected-${index}`, document, {
+            MAX_RETRY_ATTEMPTS: "1",
+            RETRY_POLICY: JSON.stringify({ backoff: { initialMs: 0, maxMs: 0 } })
+        });
+
+        await callWorker(target, { env });
+        assert.equal(eventsNamed("config_kv.invalid").length, 1, JSON.stringify(document));
+        // The env vars stay in effect: one retry
+        assert.equal(calls.length, 2, JSON.stringify(document));
+    }
+});
+
+test("a rejected document keeps the last good config and its log level", async t => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const calls = mockUpstream(t, () => new Response("busy", { status: 503 }));
+    const { kv, env } = kvEnv("config-last-good", { LOG_LEVEL: "debug", MAX_RETRY_ATTEMPTS: 0 });
+
+    logEvents.length = 0;
+    await callWorker(target, { env });
+    assert.ok(eventsNamed("attempt.started").length > 0);
+
+    await kv.put(
+        "config-last-good",
+        JSON.stringify({
+            LOG_LEVEL: "error",
+            MAX_RETRY_ATTEMPTS: 0,
+            BACKUP_CORS_SERVERS: ["https://exa mple.com/?url={url}"]
+        })
+    );
+    t.mock.timers.tick(31 * 1000);
+
+    logEvents.length = 0;
+    calls.length = 0;
+    const response = await callWorker(target, { env });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+    // Still logging at debug: the rejected document's LOG_LEVEL was never applied
+    assert.equal(eventsNamed("config_kv.invalid").length, 1);
+    assert.ok(eventsNamed("attempt.started").length > 0);
+});
+
+test("an accepted document switches the log level", async t => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    mockUpstream(t, () => new Response("ok"));
+    const { kv, env } = kvEnv("config-log-level", { LOG_LEVEL: "debug" });
+
+    logEvents.length = 0;
+    await callWorker(target, { env });
+    assert.ok(eventsNamed("attempt.started").length > 0);
+
+    await kv.put("config-log-level", JSON.stringify({ LOG_LEVEL: "warn" }));
+    t.mock.timers.tick(31 * 1000);
+
+    logEvents.length = 0;
+    await callWorker(target, { env });
+    assert.equal(eventsNamed("attempt.started").length, 0);
+    assert.equal(eventsNamed("request.completed").length, 0);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, mockUpstream } from "./support.js";
+
+const target = "https://proxy.test/?url=https://api.example.com/data";
+const corsPolicy = JSON.stringify([
+    {
+        origins: ["^https://app\\.test$"],
+        allowedMethods: ["GET", "POST"],
+        allowedHeaders: ["Content-Type"],
+        allowCredentials: false,
+        maxAge: 600,
+        exposeHeaders: ["etag"],
+        allowPrivateNetwork: true
+    }
+]);
+
+function upstreamWithHeaders(t) {
+    return mockUpstream(
+        t,
+        () => new Response("ok", { headers: { ETag: '"v1"', "X-Internal": "secret" } })
+    );
+}
+
+function preflight(origin, env, headers = {}) {
+    return callWorker(target, {
+        env,
+        method: "OPTIONS",
+        headers: { Origin: origin, "Access-Control-Request-Method": "POST", ...headers }
+    });
+}
+
+test("without CORS_POLICY every origin is reflected with credentials", async t => {
+    upstreamWithHeaders(t);
+
+    const response = await callWorker(target, { headers: { Origin: "https://any.test" } });
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://any.test");
+    assert.equal(response.headers.get("Access-Control-Allow-Credentials"), "true");
+    assert.match(response.headers.get("Vary"), /Origin/);
+});
+
+test("a matching rule shapes preflights", async t => {
+    const calls = upstreamWithHeaders(t);
+
+    const response = await preflight(
+        "https://app.test",
+        { CORS_POLICY: corsPolicy },
+        {
+            "Access-Control-Request-Private-Network": "true"
+        }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "https://app.test");
+    assert.equal(response.headers.get("Access-Control-Allow-Credentials"), null);
+    assert.equal(response.headers.get("Access-Control-Allow-Methods"), "GET, POST");
+    assert.equal(response.headers.get("Access-Control-Allow-Headers"), "Content-Type");
+    assert.equal(response.headers.get("Access-Control-Max-Age"), "600");
+    assert.equal(response.headers.get("Access-Control-Allow-Private-Network"), "true");
+    assert.equal(calls.length, 0);
+});
+
+test("a matching rule's exposeHeaders limits what the page can read", async t => {
+    upstreamWithHeaders(t);
+
+    const response = await callWorker(target, {
+        env: { CORS_POLICY: corsPolicy },
+        headers: { Origin: "https://app.test" }
+    });
+    const exposed = response.headers.get("Access-Control-Expose-Headers");
+    assert.match(exposed, /etag/i);
+    assert.doesNotMatch(exposed, /x-internal/i);
+    assert.equal(
+        JSON.parse(response.headers.get("cors-received-headers"))["x-internal"],
+        undefined
+    );
+});
+
+test("with CORS_POLICY set, origins without a matching rule get no CORS grant", async t => {
+    upstreamWithHeaders(t);
+    const env = { CORS_POLICY: corsPolicy };
+
+    const response = await callWorker(target, { env, headers: { Origin: "https://evil.test" } });
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), null);
+    assert.equal(response.headers.get("Access-Control-Allow-Credentials"), null);
+    assert.match(response.headers.get("Vary"), /Origin/);
+
+    const denied = await preflight("https://evil.test", env);
+    assert.equal(denied.headers.get("Access-Control-Allow-Origin"), null);
+    assert.equal(denied.headers.get("Access-Control-Allow-Credentials"), null);
+    assert.equal(denied.headers.get("Access-Control-Allow-Methods"), null);
+});
+
+test("with CORS_POLICY set, requests without Origin keep the wildcard", async t => {
+    upstreamWithHeaders(t);
+
+    const response = await callWorker(target, { env: { CORS_POLICY: corsPolicy } });
+    assert.equal(response.headers.get("Access-Control-Allow-Origin"), "*");
+    assert.equal(response.headers.get("Access-Control-Allow-Credentials"), null);
+});
+
+test("admin routes never allow credentials", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = { ADMIN_TOKEN: "admin-secret" };
+    const headers = { Origin: "https://any.test", Authorization: "Bearer admin-secret" };
+
+    for (const path of ["/__admin/config", "/__status"]) {
+        const response = await callWorker(`https://proxy.test${path}`, { env, headers });
+        assert.equal(response.status, 200, path);
+        assert.equal(response.headers.get("Access-Control-Allow-Credentials"), null, path);
+    }
+
+    const adminPreflight = await callWorker("https://proxy.test/__admin/config", {
+        env,
+        method: "OPTIONS",
+        headers: { Origin: "https://any.test", "Access-Control-Request-Method": "GET" }
+    });
+    assert.equal(adminPreflight.headers.get("Access-Control-Allow-Credentials"), null);
+});
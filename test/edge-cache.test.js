@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, installEdgeCache, mockUpstream } from "./support.js";
+
+const env = { CACHE_POLICY: JSON.stringify({ maxTtl: 3600 }) };
+const target = "https://proxy.test/?url=https://api.example.com/data?b=2%26a=1";
+
+function send(headers = {}, url = target) {
+    return callWorker(url, { env, headers: { Origin: "https://app.test", ...headers } });
+}
+
+function upstreamWith(headers) {
+    return () =>
+        new Response("payload", { headers: { "cache-control": "max-age=60", ...headers } });
+}
+
+test("cacheable responses are served from the edge cache on the second request", async t => {
+    installEdgeCache(t);
+    const calls = mockUpstream(t, upstreamWith({}));
+
+    const first = await send();
+    assert.equal(first.headers.get("X-Cors-Cache"), "MISS");
+    const second = await send({}, "https://proxy.test/?url=https://api.example.com/data?a=1%26b=2");
+    assert.equal(second.headers.get("X-Cors-Cache"), "HIT");
+    assert.equal(await second.text(), "payload");
+    assert.equal(calls.length, 1);
+});
+
+test("the requesting Origin, vary headers and x-cors-headers are part of the key", async t => {
+    installEdgeCache(t);
+    const calls = mockUpstream(t, upstreamWith({}));
+
+    await send();
+    assert.equal(
+        (await send({ Origin: "https://other.test" })).headers.get("X-Cors-Cache"),
+        "MISS"
+    );
+    assert.equal((await send({ Accept: "text/csv" })).headers.get("X-Cors-Cache"), "MISS");
+    const withCustomHeader = { "x-cors-headers": JSON.stringify({ "X-Tenant": "a" }) };
+    assert.equal((await send(withCustomHeader)).headers.get("X-Cors-Cache"), "MISS");
+    assert.equal((await send(withCustomHeader)).headers.get("X-Cors-Cache"), "HIT");
+    const otherTenant = { "x-cors-headers": JSON.stringify({ "x-tenant": "b" }) };
+    assert.equal((await send(otherTenant)).headers.get("X-Cors-Cache"), "MISS");
+    assert.equal(calls.length, 5);
+});
+
+test("responses that Vary on headers outside the key are not stored", async t => {
+    const cache = installEdgeCache(t);
+
+    for (const vary of ["Accept-Language", "*", "Accept, Authorization"]) {
+        mockUpstream(t, upstreamWith({ vary }));
+        await send();
+        assert.equal((await send()).headers.get("X-Cors-Cache"), "MISS", vary);
+        assert.equal(cache.entries.size, 0, vary);
+        t.mock.restoreAll();
+    }
+
+    // Headers the key covers, and Accept-Encoding, don't prevent caching
+    mockUpstream(t, upstreamWith({ vary: "Origin, Accept, Accept-Encoding" }));
+    await send();
+    assert.equal((await send()).headers.get("X-Cors-Cache"), "HIT");
+});
+
+test("private, no-store, credentialed and client TTL requests are not cached", async t => {
+    const cache = installEdgeCache(t);
+
+    mockUpstream(t, upstreamWith({ "cache-control": "private, max-age=60" }));
+    await send();
+    t.mock.restoreAll();
+    mockUpstream(t, upstreamWith({ "cache-control": "no-store" }));
+    await send();
+    assert.equal(cache.entries.size, 0);
+
+    t.mock.restoreAll();
+    mockUpstream(t, upstreamWith({}));
+    const credentialed = await send({ Authorization: "Bearer token" });
+    assert.equal(credentialed.headers.get("X-Cors-Cache"), "BYPASS");
+    assert.equal(cache.entries.size, 0);
+
+    // allowClientOverride is off by default, so ?cache= can't make an uncacheable response stick
+    t.mock.restoreAll();
+    mockUpstream(t, () => new Response("payload"));
+    await send({}, `${target}&cache=600`);
+    assert.equal(cache.entries.size, 0);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, makeContext, makeKv, mockUpstream, worker } from "./support.js";
+
+const backupA = "https://backup-a.test/?url={url}";
+const backupB = "https://backup-b.test/?url={url}";
+
+async function runCron(env) {
+    const ctx = makeContext();
+    await worker.scheduled({ cron: "*/5 * * * *" }, env, ctx);
+    await ctx.settle();
+}
+
+function mockBackups(t, statusByHost) {
+    return mockUpstream(t, url => {
+        const status = statusByHost[new URL(url).host];
+        return new Response(null, { status: status === undefined ? 503 : status });
+    });
+}
+
+test("probes every backup and stores the summary", async t => {
+    const kv = makeKv();
+    mockBackups(t, { "backup-a.test": 500, "backup-b.test": 204 });
+
+    await runCron({
+        BACKUP_CORS_SERVERS: JSON.stringify([backupA, backupB]),
+        BACKUP_SERVER_CACHE: kv
+    });
+
+    const summary = JSON.parse(kv.store.get("backup-health:summary"));
+    assert.equal(summary.probeUrl, "https://example.com/");
+    assert.deepEqual(
+        summary.results.map(({ template, healthy, status }) => ({ template, healthy, status })),
+        [
+            { template: backupA, healthy: false, status: 500 },
+            { template: backupB, healthy: true, status: 204 }
+        ]
+    );
+});
+
+test("preferences for a failed backup move to the fastest healthy one", async t => {
+    const kv = makeKv({
+        "backup-preference:api.example.com": backupA,
+        "backup-preference:site.example": backupB
+    });
+    mockBackups(t, { "backup-a.test": 500, "backup-b.test": 200 });
+
+    await runCron({
+        BACKUP_CORS_SERVERS: JSON.stringify([backupA, backupB]),
+        BACKUP_SERVER_CACHE: kv
+    });
+
+    assert.equal(kv.store.get("backup-preference:api.example.com"), backupB);
+    assert.equal(kv.store.get("backup-preference:site.example"), backupB);
+    // The probe URL's own domain is not pinned
+    assert.equal(kv.store.has("backup-preference:example.com"), false);
+});
+
+test("preferences are cleared when no backup passes", async t => {
+    const kv = makeKv({ "backup-preference:api.example.com": backupA });
+    mockBackups(t, {});
+
+    await runCron({
+        BACKUP_CORS_SERVERS: JSON.stringify([backupA, backupB]),
+        BACKUP_SERVER_CACHE: kv
+    });
+
+    assert.equal(kv.store.has("backup-preference:api.example.com"), false);
+});
+
+test("proxy requests skip backups that failed the last check", async t => {
+    const kv = makeKv();
+    const env = {
+        BACKUP_CORS_SERVERS: JSON.stringify([backupA, backupB]),
+        BACKUP_SERVER_CACHE: kv,
+        MAX_RETRY_ATTEMPTS: "1"
+    };
+    mockBackups(t, { "backup-a.test": 500, "backup-b.test": 200 });
+    await runCron(env);
+    t.mock.restoreAll();
+
+    const calls = mockBackups(t, { "backup-a.test": 200, "backup-b.test": 200 });
+    const response = await callWorker("https://proxy.test/?url=https://api.example.com/", { env });
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+        calls.map(call => new URL(call.url).host),
+        ["api.example.com", "backup-b.test"]
+    );
+});
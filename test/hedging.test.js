@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, logEvents, mockUpstream } from "./support.js";
+
+const send = env => callWorker("https://proxy.test/?url=https://api.example.com/data", { env });
+
+function envWith(backupHost, extra = {}) {
+    return {
+        BACKUP_CORS_SERVERS: JSON.stringify([`https://${backupHost}/?url={url}`]),
+        HEDGE_DELAY_MS: "20",
+        ...extra
+    };
+}
+
+// Resolve with `response` after delayMs, or reject once the attempt is aborted
+function delayed(init, delayMs, response) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(response()), delayMs);
+        init.signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(new Error("aborted"));
+        });
+    });
+}
+
+function hedgeOutcomes() {
+    return logEvents.filter(event => event.event === "attempt.hedged").map(event => event.outcome);
+}
+
+test("a slow direct attempt is raced against the first backup", async t => {
+    logEvents.length = 0;
+    const calls = mockUpstream(t, (url, init) =>
+        new URL(url).host === "hedge-win.test"
+            ? new Response("from backup")
+            : delayed(init, 500, () => new Response("from direct"))
+    );
+
+    const response = await send(envWith("hedge-win.test"));
+    assert.equal(await response.text(), "from backup");
+    assert.equal(calls.length, 2);
+    assert.deepEqual(hedgeOutcomes(), ["backup_won"]);
+});
+
+test("a backup cancelled by a winning direct attempt is traced as cancelled", async t => {
+    logEvents.length = 0;
+    mockUpstream(t, (url, init) =>
+        new URL(url).host === "hedge-cancel.test"
+            ? delayed(init, 1000, () => new Response("from backup"))
+            : delayed(init, 60, () => new Response("from direct"))
+    );
+
+    const response = await send(envWith("hedge-cancel.test"));
+    assert.equal(await response.text(), "from direct");
+    assert.deepEqual(hedgeOutcomes(), ["backup_cancelled"]);
+
+    const completed = logEvents.find(event => event.event === "request.completed");
+    assert.equal(completed.servedBy, "direct");
+    assert.equal(completed.attempts, 2);
+});
+
+test("a cancelled hedge gives its half-open probe back", async t => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const env = envWith("hedge-probe.test", {
+        MAX_RETRY_ATTEMPTS: "1",
+        CIRCUIT_BREAKER: JSON.stringify({ failureThreshold: 1, cooldownSeconds: 30 })
+    });
+    let directDelayMs = 0;
+    let directStatus = 503;
+    const calls = mockUpstream(t, (url, init) =>
+        new URL(url).host === "hedge-probe.test"
+            ? delayed(init, 1000, () => new Response("from backup", { status: 503 }))
+            : delayed(init, directDelayMs, () => new Response("direct", { status: directStatus }))
+    );
+    const backupCalls = () => calls.filter(call => call.url.includes("hedge-probe.test")).length;
+
+    // Open the backup's circuit, then let the cooldown pass so it is half-open
+    await send({ ...env, HEDGE_DELAY_MS: "0" });
+    assert.equal(backupCalls(), 1);
+    t.mock.timers.tick(30 * 1000);
+
+    // The hedge takes the only probe, but direct wins and the hedge is cancelled
+    directDelayMs = 60;
+    directStatus = 200;
+    assert.equal((await send(env)).status, 200);
+    assert.equal(backupCalls(), 2);
+
+    // The probe is available again for the next request that needs the backup
+    directDelayMs = 0;
+    directStatus = 503;
+    await send({ ...env, HEDGE_DELAY_MS: "0" });
+    assert.equal(backupCalls(), 3);
+});
+
+test("POST requests are never hedged", async t => {
+    const calls = mockUpstream(t, (url, init) =>
+        delayed(init, 60, () => new Response("from direct"))
+    );
+
+    const response = await callWorker("https://proxy.test/?url=https://api.example.com/data", {
+        method: "POST",
+        body: "payload",
+        env: envWith("hedge-post.test")
+    });
+    assert.equal(await response.text(), "from direct");
+    assert.equal(calls.length, 1);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    buildProxiedUrl,
+    rewriteCssUrls,
+    rewriteSrcset,
+    rewriteUrlThroughProxy
+} from "../html-rewriting.js";
+import { apiKeysKv, callWorker, mockUpstream } from "./support.js";
+
+const proxyOrigin = "https://proxy.test";
+const baseUrl = "https://site.example/docs/page.html";
+
+test("URLs are resolved against the page and routed through the proxy", () => {
+    assert.equal(
+        rewriteUrlThroughProxy("../img/a.png?x=1", baseUrl, proxyOrigin, false),
+        `${proxyOrigin}/?url=${encodeURIComponent("https://site.example/img/a.png?x=1")}`
+    );
+    assert.equal(
+        rewriteUrlThroughProxy("/about", baseUrl, proxyOrigin, true),
+        `${proxyOrigin}/?url=${encodeURIComponent("https://site.example/about")}&rewrite=html`
+    );
+});
+
+test("fragments, non-http schemes and already proxied URLs are left alone", () => {
+    for (const value of [
+        "",
+        "#top",
+        "data:image/png;base64,AAAA",
+        "javascript:void(0)",
+        "mailto:a@b.c",
+        `${proxyOrigin}/?url=https://x.example/`
+    ]) {
+        assert.equal(rewriteUrlThroughProxy(value, baseUrl, proxyOrigin, true), null, value);
+    }
+});
+
+test("srcset candidates keep their descriptors", () => {
+    assert.equal(
+        rewriteSrcset("a.png 1x, https://cdn.example/b.png 2x", baseUrl, proxyOrigin),
+        [
+            `${buildProxiedUrl(proxyOrigin, "https://site.example/docs/a.png")} 1x`,
+            `${buildProxiedUrl(proxyOrigin, "https://cdn.example/b.png")} 2x`
+        ].join(", ")
+    );
+});
+
+test("CSS url() and @import references are rewritten", () => {
+    const css = `@import "theme.css"; body { background: url('bg.png') } i { x: url(data:x) }`;
+    assert.equal(
+        rewriteCssUrls(css, baseUrl, proxyOrigin),
+        `@import "${proxyOrigin}/?url=${encodeURIComponent(
+            "https://site.example/docs/theme.css"
+        )}&rewrite=html"; body { background: url('${proxyOrigin}/?url=${encodeURIComponent(
+            "https://site.example/docs/bg.png"
+        )}&rewrite=html') } i { x: url(data:x) }`
+    );
+});
+
+test("proxied stylesheets are rewritten without copying the client's API key", async t => {
+    mockUpstream(
+        t,
+        () =>
+            new Response("a { background: url(/bg.png) }", {
+                headers: { "content-type": "text/css" }
+            })
+    );
+
+    const response = await callWorker(
+        "https://proxy.test/?url=https://site.example/style.css&rewrite=html&apiKey=secret-key",
+        { env: { API_KEYS: apiKeysKv({ "secret-key": {} }) } }
+    );
+    const body = await response.text();
+    assert.equal(
+        body,
+        `a { background: url(${proxyOrigin}/?url=${encodeURIComponent(
+            "https://site.example/bg.png"
+        )}&rewrite=html) }`
+    );
+    assert.ok(!body.includes("secret-key"));
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { apiKeysKv, callWorker, makeKv, mockUpstream } from "./support.js";
+
+const target = "https://proxy.test/?url=https://api.example.com/data";
+
+function send(env, headers = {}) {
+    return callWorker(target, {
+        env,
+        headers: { "CF-Connecting-IP": "203.0.113.7", Origin: "https://app.test", ...headers }
+    });
+}
+
+test("requests over an IP window get 429 with Retry-After", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+    const env = {
+        RATE_LIMIT_KV: makeKv(),
+        RATE_LIMITS: JSON.stringify({ ip: [{ limit: 2, windowSeconds: 60 }] })
+    };
+
+    assert.equal((await send(env)).status, 200);
+    const second = await send(env);
+    assert.equal(second.headers.get("RateLimit-Limit"), "2");
+    assert.equal(second.headers.get("RateLimit-Remaining"), "0");
+
+    const limited = await send(env);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+    assert.equal(calls.length, 2);
+
+    // Another client IP has its own budget
+    assert.equal((await send(env, { "CF-Connecting-IP": "198.51.100.1" })).status, 200);
+});
+
+test("origin windows count every IP sending the same Origin", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = {
+        RATE_LIMIT_KV: makeKv(),
+        RATE_LIMITS: JSON.stringify({ origin: [{ limit: 1, windowSeconds: 60 }] })
+    };
+
+    assert.equal((await send(env, { "CF-Connecting-IP": "198.51.100.1" })).status, 200);
+    assert.equal((await send(env, { "CF-Connecting-IP": "198.51.100.2" })).status, 429);
+});
+
+test("a made-up API key is refused before it can skip the IP limits", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+    const env = { RATE_LIMIT_KV: makeKv(), API_KEYS: apiKeysKv({}) };
+
+    const response = await send(env, { "x-cors-api-key": "guessed" });
+    assert.equal(response.status, 401);
+    assert.equal(calls.length, 0);
+});
+
+test("valid API keys get the default apiKey windows instead of the IP windows", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = {
+        RATE_LIMIT_KV: makeKv(),
+        RATE_LIMITS: JSON.stringify({ ip: [{ limit: 1, windowSeconds: 60 }] }),
+        API_KEYS: apiKeysKv({ "key-1": { name: "frontend" } })
+    };
+
+    for (let i = 0; i < 3; i++) {
+        const response = await send(env, { "x-cors-api-key": "key-1" });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get("RateLimit-Policy"), "10000;w=600, 1000000;w=86400");
+    }
+});
+
+test("a key's quota replaces RATE_LIMITS.apiKey", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = {
+        RATE_LIMIT_KV: makeKv(),
+        API_KEYS: apiKeysKv({ "key-1": { quota: [{ limit: 1, windowSeconds: 60 }] } })
+    };
+
+    assert.equal((await send(env, { "x-cors-api-key": "key-1" })).status, 200);
+    assert.equal((await send(env, { "x-cors-api-key": "key-1" })).status, 429);
+});
+
+test("keys without any windows stay under the IP limits", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = {
+        RATE_LIMIT_KV: makeKv(),
+        RATE_LIMITS: JSON.stringify({ ip: [{ limit: 1, windowSeconds: 60 }], apiKey: [] }),
+        API_KEYS: apiKeysKv({ "key-1": {} })
+    };
+
+    assert.equal((await send(env, { "x-cors-api-key": "key-1" })).status, 200);
+    assert.equal((await send(env, { "x-cors-api-key": "key-1" })).status, 429);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { apiKeysKv, callWorker, mockUpstream } from "./support.js";
+
+function redirectingUpstream(t) {
+    return mockUpstream(t, url =>
+        url === "https://site.example/old"
+            ? new Response(null, { status: 302, headers: { Location: "/new?x=1" } })
+            : new Response("moved here")
+    );
+}
+
+test("redirect=follow follows hops and reports the final URL", async t => {
+    const calls = redirectingUpstream(t);
+
+    const response = await callWorker("https://proxy.test/?url=https://site.example/old");
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "moved here");
+    assert.equal(response.headers.get("X-Cors-Final-Url"), "https://site.example/new?x=1");
+    assert.deepEqual(
+        calls.map(call => call.url),
+        ["https://site.example/old", "https://site.example/new?x=1"]
+    );
+});
+
+test("redirect=manual points Location back through the proxy without the API key", async t => {
+    redirectingUpstream(t);
+
+    const response = await callWorker(
+        "https://proxy.test/?url=https://site.example/old&redirect=manual&apiKey=secret-key",
+        { env: { API_KEYS: apiKeysKv({ "secret-key": {} }) } }
+    );
+    assert.equal(response.status, 302);
+    assert.equal(
+        response.headers.get("Location"),
+        `https://proxy.test/?url=${encodeURIComponent(
+            "https://site.example/new?x=1"
+        )}&redirect=manual`
+    );
+});
+
+test("redirect=error fails the request instead of following", async t => {
+    const calls = redirectingUpstream(t);
+
+    const response = await callWorker(
+        "https://proxy.test/?url=https://site.example/old&redirect=error"
+    );
+    assert.equal(response.status, 502);
+    assert.equal(calls.length, 1);
+});
+
+test("redirect hops to blocked addresses are refused", async t => {
+    mockUpstream(
+        t,
+        () =>
+            new Response(null, {
+                status: 301,
+                headers: { Location: "http://169.254.169.254/latest/meta-data/" }
+            })
+    );
+
+    const response = await callWorker("https://proxy.test/?url=https://site.example/old");
+    assert.equal(response.status, 403);
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, logEvents, mockUpstream } from "./support.js";
+
+const target = "https://proxy.test/?url=https://api.example.com/data";
+
+// Upstream that answers with the given statuses in order, then 200
+function statusSequence(t, statuses, headers = {}) {
+    const queue = [...statuses];
+    return mockUpstream(t, () => {
+        const status = queue.length ? queue.shift() : 200;
+        return new Response(status === 200 ? "ok" : "busy", { status, headers });
+    });
+}
+
+function retryEnv(policy, extra = {}) {
+    return {
+        RETRY_POLICY: JSON.stringify({ backoff: { initialMs: 0, maxMs: 0 }, ...policy }),
+        ...extra
+    };
+}
+
+test("retryable statuses are tried again until a response succeeds", async t => {
+    const calls = statusSequence(t, [503, 502]);
+
+    const response = await callWorker(target, { env: retryEnv({}) });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 3);
+});
+
+test("statuses outside retryableStatuses are returned as they are", async t => {
+    const calls = statusSequence(t, [503]);
+
+    const response = await callWorker(target, { env: retryEnv({ retryableStatuses: [429] }) });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test("MAX_RETRY_ATTEMPTS bounds the retries of a failing target", async t => {
+    const calls = statusSequence(t, [503, 503, 503, 503, 503]);
+
+    const response = await callWorker(target, {
+        env: retryEnv({}, { MAX_RETRY_ATTEMPTS: "2" })
+    });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 3);
+});
+
+test("a short Retry-After is waited for before trying the same target again", async t => {
+    const calls = statusSequence(t, [429], { "Retry-After": "1" });
+
+    const startedAt = Date.now();
+    const response = await callWorker(target, { env: retryEnv({}) });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+    assert.ok(Date.now() - startedAt >= 1000);
+});
+
+test("a Retry-After beyond maxRetryAfterMs returns the response instead of waiting", async t => {
+    const calls = statusSequence(t, [429], { "Retry-After": "120" });
+
+    const response = await callWorker(target, { env: retryEnv({}) });
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get("Retry-After"), "120");
+    assert.equal(calls.length, 1);
+});
+
+test("backoff delays retries of the same target", async t => {
+    const calls = statusSequence(t, [503]);
+
+    const startedAt = Date.now();
+    const response = await callWorker(target, {
+        env: retryEnv({ backoff: { initialMs: 200, maxMs: 200, jitter: false } })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+    assert.ok(Date.now() - startedAt >= 200);
+});
+
+test("POST is only replayed when the client sends an Idempotency-Key", async t => {
+    const calls = statusSequence(t, [503, 503]);
+    const post = headers => ({ env: retryEnv({}), method: "POST", body: "{}", headers });
+
+    assert.equal((await callWorker(target, post({}))).status, 503);
+    assert.equal(calls.length, 1);
+
+    const replayed = await callWorker(target, post({ "Idempotency-Key": "order-1" }));
+    assert.equal(replayed.status, 200);
+    assert.equal(calls.length, 3);
+});
+
+test('nonIdempotent "never" sends POST once even with an Idempotency-Key', async t => {
+    const calls = statusSequence(t, [503]);
+
+    const response = await callWorker(target, {
+        env: retryEnv({ nonIdempotent: "never" }),
+        method: "POST",
+        body: "{}",
+        headers: { "Idempotency-Key": "order-1" }
+    });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test("the first override matching the target replaces the top-level policy", async t => {
+    const calls = statusSequence(t, [503]);
+
+    const response = await callWorker(target, {
+        env: retryEnv({
+            overrides: [{ pattern: "^https://api\\.example\\.com/", retryableStatuses: [429] }]
+        })
+    });
+    assert.equal(response.status, 503);
+    assert.equal(calls.length, 1);
+});
+
+test("an invalid RETRY_POLICY is logged and the defaults apply", async t => {
+    logEvents.length = 0;
+    const calls = statusSequence(t, [503]);
+
+    const response = await callWorker(target, {
+        env: { RETRY_POLICY: JSON.stringify({ retryableStatuses: ["503"] }) }
+    });
+    assert.ok(
+        logEvents.some(event => event.event === "config.invalid" && event.key === "RETRY_POLICY")
+    );
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    normalizeSignedTargetUrl,
+    normalizeTargetUrlInput,
+    signProxyUrl,
+    verifyProxyUrlSignature
+} from "../signing.js";
+import { callWorker, mockUpstream } from "./support.js";
+
+const secret = "test-signing-secret";
+const now = Date.UTC(2024, 0, 1);
+const expiresAt = now / 1000 + 600;
+
+async function signedParams(options = {}) {
+    const { url } = await signProxyUrl({
+        proxyOrigin: "https://cors.example.workers.dev",
+        targetUrl: "https://api.example.com/data?q=1",
+        secret,
+        expiresAt,
+        ...options
+    });
+    return new URL(url).searchParams;
+}
+
+// Verify a copy of the signed params after `change` edits it
+function verifyChanged(params, change, method = "GET") {
+    const changed = new URLSearchParams(params);
+    change(changed);
+    return verifyProxyUrlSignature(secret, changed.get("url"), method, changed, now);
+}
+
+test("a freshly signed URL verifies", async () => {
+    const params = await signedParams();
+    assert.equal(
+        await verifyProxyUrlSignature(secret, params.get("url"), "GET", params, now),
+        null
+    );
+});
+
+test("tampered targets, other methods and other secrets are rejected", async () => {
+    const params = await signedParams({ method: "post" });
+    const verify = (targetUrl, method, key = secret) =>
+        verifyProxyUrlSignature(key, targetUrl, method, params, now);
+
+    assert.equal(await verify(params.get("url"), "POST"), null);
+    assert.equal(await verify(params.get("url"), "GET"), "invalid signature");
+    assert.equal(await verify("https://api.example.com/data?q=2", "POST"), "invalid signature");
+    assert.equal(await verify(params.get("url"), "POST", "other-secret"), "invalid signature");
+});
+
+test("every other query parameter is covered by the signature", async () => {
+    const params = await signedParams({ params: { redirect: "manual", cache: 60 } });
+    assert.equal(params.get("redirect"), "manual");
+
+    // Order doesn't matter, the client's own apiKey isn't signed
+    const reordered = new URLSearchParams(Array.from(params).reverse());
+    assert.equal(
+        await verifyProxyUrlSignature(secret, params.get("url"), "GET", reordered, now),
+        null
+    );
+    assert.equal(await verifyChanged(params, changed => changed.set("apiKey", "k")), null);
+
+    for (const change of [
+        changed => changed.set("redirect", "follow"),
+        changed => changed.delete("cache"),
+        changed => changed.set("allowSensitive", "true"),
+        changed => changed.set("debug", "1"),
+        changed => changed.append("cache", "0")
+    ]) {
+        assert.equal(await verifyChanged(params, change), "invalid signature");
+    }
+});
+
+test("signProxyUrl refuses to sign reserved parameters", async () => {
+    for (const name of ["url", "exp", "sig", "apiKey"]) {
+        await assert.rejects(signedParams({ params: { [name]: "x" } }), /can't sign the/);
+    }
+});
+
+test("expired, missing and malformed parameters are reported", async () => {
+    const params = await signedParams();
+    const target = params.get("url");
+
+    assert.equal(
+        await verifyProxyUrlSignature(secret, target, "GET", params, (expiresAt + 1) * 1000),
+        "signed URL has expired"
+    );
+    assert.equal(
+        await verifyChanged(params, changed => changed.delete("exp")),
+        "missing exp or sig parameter"
+    );
+    assert.equal(
+        await verifyChanged(params, changed => changed.set("exp", "soon")),
+        "exp must be a Unix timestamp in seconds"
+    );
+    assert.equal(
+        await verifyChanged(params, changed => changed.set("sig", "!!!")),
+        "invalid signature"
+    );
+});
+
+test("targets are normalized the same way the worker normalizes ?url=", async () => {
+    assert.equal(normalizeTargetUrlInput("  example.com/a "), "https://example.com/a");
+    assert.equal(normalizeTargetUrlInput("wss://example.com/ws"), "wss://example.com/ws");
+    assert.equal(normalizeSignedTargetUrl("Example.com"), "https://example.com/");
+
+    const params = await signedParams({ targetUrl: " api.example.com/data " });
+    assert.equal(params.get("url"), "https://api.example.com/data");
+    assert.equal(
+        await verifyProxyUrlSignature(
+            secret,
+            normalizeSignedTargetUrl("api.example.com/data"),
+            "GET",
+            params,
+            now
+        ),
+        null
+    );
+});
+
+test("the worker proxies signed URLs and refuses unsigned control parameters", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+    const env = { SIGNING_SECRET: secret };
+    const { url } = await signProxyUrl({
+        proxyOrigin: "https://proxy.test",
+        targetUrl: "https://api.example.com/data",
+        secret,
+        params: { redirect: "manual" }
+    });
+
+    assert.equal((await callWorker(url, { env })).status, 200);
+
+    const withDebug = await callWorker(`${url}&debug=1`, { env });
+    assert.equal(withDebug.status, 403);
+    assert.equal(withDebug.headers.get("X-Cors-Denied-By"), "SIGNING_SECRET");
+
+    for (const header of ["x-cors-headers", "x-cors-cache-ttl"]) {
+        const response = await callWorker(url, {
+            env,
+            headers: { [header]: header === "x-cors-headers" ? '{"Cookie":"a=b"}' : "60" }
+        });
+        assert.equal(response.status, 403, header);
+        assert.match(await response.text(), new RegExp(`${header} is not accepted`));
+    }
+    assert.equal(calls.length, 1);
+});
+
+test("/__admin/sign signs the extra parameters it is given", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const env = { SIGNING_SECRET: secret, ADMIN_TOKEN: "admin-secret" };
+    const headers = { Authorization: "Bearer admin-secret" };
+
+    const response = await callWorker(
+        "https://proxy.test/__admin/sign?target=api.example.com/data&redirect=manual",
+        { env, headers }
+    );
+    assert.equal(response.status, 200);
+    const { url } = await response.json();
+    assert.equal(new URL(url).searchParams.get("redirect"), "manual");
+    assert.equal((await callWorker(url, { env })).status, 200);
+
+    const withApiKey = await callWorker(
+        "https://proxy.test/__admin/sign?target=api.example.com/data&apiKey=k",
+        { env, headers }
+    );
+    assert.equal(withApiKey.status, 400);
+});
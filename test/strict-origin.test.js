@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, mockUpstream } from "./support.js";
+
+const env = {
+    REQUIRE_ORIGIN: "true",
+    ORIGIN_BYPASS_TOKENS: JSON.stringify(["server-token"]),
+    WHITELIST_ORIGINS: JSON.stringify(["^https://app\\.test$"])
+};
+
+function send(headers, extraEnv = {}) {
+    return callWorker("https://proxy.test/?url=https://api.example.com/data", {
+        env: { ...env, ...extraEnv },
+        headers
+    });
+}
+
+async function assertRefused(response, reason) {
+    assert.equal(response.status, 403);
+    assert.equal(response.headers.get("X-Cors-Denied-By"), "REQUIRE_ORIGIN");
+    assert.match(await response.text(), reason);
+}
+
+test("the Origin header is used, falling back to the Referer's origin", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+
+    assert.equal((await send({ Origin: "https://app.test" })).status, 200);
+    assert.equal((await send({ Referer: "https://app.test/page?x=1" })).status, 200);
+    // The Referer's origin still has to pass WHITELIST_ORIGINS
+    assert.equal((await send({ Referer: "https://evil.test/page" })).status, 403);
+    assert.equal(calls.length, 2);
+});
+
+test("Origin: null and requests without a usable Origin or Referer are refused", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+
+    await assertRefused(
+        await send({ Origin: "null", Referer: "https://app.test/" }),
+        /Origin: null is not accepted/
+    );
+    await assertRefused(await send({}), /missing Origin header/);
+    await assertRefused(await send({ Referer: "not a url" }), /missing Origin header/);
+    assert.equal(calls.length, 0);
+});
+
+test("navigations and typed URLs reported by Sec-Fetch-* headers are refused", async t => {
+    mockUpstream(t, () => new Response("ok"));
+    const origin = "https://app.test";
+
+    await assertRefused(
+        await send({ Origin: origin, "Sec-Fetch-Site": "none" }),
+        /Sec-Fetch-Site: none is not accepted/
+    );
+    await assertRefused(
+        await send({ Origin: origin, "Sec-Fetch-Mode": "navigate" }),
+        /Sec-Fetch-Mode: navigate is not accepted/
+    );
+    const fromPage = await send({
+        Origin: origin,
+        "Sec-Fetch-Site": "cross-site",
+        "Sec-Fetch-Mode": "cors"
+    });
+    assert.equal(fromPage.status, 200);
+});
+
+test("bypass tokens skip the checks only when they match", async t => {
+    mockUpstream(t, () => new Response("ok"));
+
+    assert.equal((await send({ "x-cors-bypass-token": "server-token" })).status, 200);
+    await assertRefused(
+        await send({ "x-cors-bypass-token": "guess", Origin: "https://app.test" }),
+        /invalid bypass token/
+    );
+});
+
+test("without REQUIRE_ORIGIN requests without Origin are allowed", async t => {
+    mockUpstream(t, () => new Response("ok"));
+
+    assert.equal((await send({}, { REQUIRE_ORIGIN: "false" })).status, 200);
+});
@@ -0,0 +1,118 @@
+// Shared fixtures for tests that drive the worker's fetch/scheduled handlers under Node.js
+
+import { createHash } from "node:crypto";
+import { mock } from "node:test";
+
+import worker from "../index.js";
+
+// The worker logs one JSON line per event; collect them instead of printing them
+export const logEvents = [];
+for (const method of ["log", "warn", "error"]) {
+    mock.method(console, method, line => {
+        try {
+            logEvents.push(JSON.parse(line));
+        } catch (e) {
+            // Not a worker log line
+        }
+    });
+}
+
+// Map-backed stand-in for a KV namespace (get/put/delete/list, "json" reads, expirationTtl ignored)
+export function makeKv(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        store,
+        async get(key, options) {
+            const value = store.has(key) ? store.get(key) : null;
+            const type = typeof options === "string" ? options : options && options.type;
+            return value !== null && type === "json" ? JSON.parse(value) : value;
+        },
+        async put(key, value) {
+            store.set(key, String(value));
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+        async list({ prefix = "" } = {}) {
+            const keys = [...store.keys()].filter(name => name.startsWith(prefix));
+            return { keys: keys.map(name => ({ name })), list_complete: true };
+        }
+    };
+}
+
+// API_KEYS namespace holding { "<plain key>": policy } under api-key:<sha256 hex>
+export function apiKeysKv(keys) {
+    return makeKv(
+        Object.fromEntries(
+            Object.entries(keys).map(([key, policy]) => [
+                `api-key:${createHash("sha256")
+                    .update(key)
+                    .digest("hex")}`,
+                JSON.stringify(policy)
+            ])
+        )
+    );
+}
+
+// Execution context that collects waitUntil() promises so tests can await background work
+export function makeContext() {
+    const pending = [];
+    return {
+        waitUntil(promise) {
+            pending.push(promise);
+        },
+        passThroughOnException() {},
+        settle: () => Promise.allSettled(pending)
+    };
+}
+
+/**
+ * Replace globalThis.fetch for the current test. `respond(url, init, call)` returns the
+ * upstream Response; every call is recorded as { url, method, headers } in the returned array.
+ */
+export function mockUpstream(t, respond) {
+    const calls = [];
+    t.mock.method(globalThis, "fetch", async (input, init = {}) => {
+        const call = {
+            url: typeof input === "string" ? input : input.url,
+            method: (init.method || input.method || "GET").toUpperCase(),
+            headers: new Headers(init.headers || input.headers)
+        };
+        calls.push(call);
+        // fetch(request) carries its signal on the Request instead of in init
+        return respond(call.url, { ...init, signal: init.signal || input.signal }, call);
+    });
+    return calls;
+}
+
+// Run a request through the worker and wait for its background (waitUntil) work
+export async function callWorker(url, { env = {}, ctx = makeContext(), ...init } = {}) {
+    const response = await worker.fetch(new Request(url, init), env, ctx);
+    await ctx.settle();
+    return response;
+}
+
+export { worker };
+
+// In-memory stand-in for caches.default (match/put keyed by request URL) for the current test
+export function installEdgeCache(t) {
+    const entries = new Map();
+    const cache = {
+        entries,
+        async match(request) {
+            const entry = entries.get(request.url);
+            return entry ? new Response(entry.body, entry.init) : undefined;
+        },
+        async put(request, response) {
+            entries.set(request.url, {
+                body: await response.arrayBuffer(),
+                init: { status: response.status, headers: response.headers }
+            });
+        }
+    };
+    globalThis.caches = { default: cache };
+    t.after(() => {
+        delete globalThis.caches;
+    });
+    return cache;
+}
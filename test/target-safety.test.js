@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { checkTargetSafety } from "../target-safety.js";
+
+test("allows public http(s) and ws(s) targets on default ports", () => {
+    for (const url of [
+        "https://api.example.com/v1",
+        "http://example.com:80/",
+        "https://8.8.8.8/",
+        "wss://realtime.example.com/feed",
+        "https://[2606:4700::1111]/"
+    ]) {
+        assert.deepEqual(checkTargetSafety(url, []), { allowed: true, reason: null }, url);
+    }
+});
+
+test("blocks private, loopback, link-local and metadata IPv4 addresses", () => {
+    for (const url of [
+        "http://127.0.0.1/",
+        "http://10.1.2.3/",
+        "http://172.16.0.1/",
+        "http://192.168.1.1/",
+        "http://169.254.169.254/latest/meta-data/",
+        "http://0.0.0.0/",
+        "http://100.64.0.1/"
+    ]) {
+        assert.equal(checkTargetSafety(url, []).allowed, false, url);
+    }
+});
+
+test("blocks numeric host encodings that are not dotted IPv4", () => {
+    for (const url of ["http://2130706433/", "http://0x7f.1/", "http://0177.0.0.1/"]) {
+        assert.equal(checkTargetSafety(url, []).allowed, false, url);
+    }
+});
+
+test("blocks reserved IPv6 ranges and IPv6 forms embedding a private IPv4", () => {
+    for (const url of [
+        "http://[::1]/",
+        "http://[fe80::1]/",
+        "http://[fd00::1]/",
+        "http://[::ffff:127.0.0.1]/",
+        "http://[::ffff:a9fe:a9fe]/",
+        "http://[2002:7f00:1::]/",
+        "http://[64:ff9b::a00:1]/"
+    ]) {
+        assert.equal(checkTargetSafety(url, []).allowed, false, url);
+    }
+});
+
+test("blocks internal hostnames, odd schemes and non-standard ports", () => {
+    for (const url of [
+        "http://localhost/",
+        "http://app.localhost/",
+        "http://printer.local/",
+        "http://metadata.google.internal/",
+        "http://intranet/",
+        "file:///etc/passwd",
+        "ftp://example.com/",
+        "https://example.com:8443/"
+    ]) {
+        assert.equal(checkTargetSafety(url, []).allowed, false, url);
+    }
+});
+
+test("TARGET_SAFETY_EXCEPTIONS patterns skip the checks", () => {
+    const exceptions = ["^http://10\\.0\\.0\\.5/"];
+    assert.equal(checkTargetSafety("http://10.0.0.5/health", exceptions).allowed, true);
+    assert.equal(checkTargetSafety("http://10.0.0.6/health", exceptions).allowed, false);
+});
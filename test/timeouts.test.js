@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, mockUpstream } from "./support.js";
+
+const target = "https://proxy.test/?url=https://api.example.com/data";
+const noBackoff = JSON.stringify({ backoff: { initialMs: 0, maxMs: 0 } });
+
+// Never answers; rejects once the attempt is aborted
+function hang(init) {
+    return new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+}
+
+test("an attempt that outlives ATTEMPT_TIMEOUT_MS ends with 504", async t => {
+    const calls = mockUpstream(t, (url, init) => hang(init));
+
+    const response = await callWorker(target, {
+        env: { ATTEMPT_TIMEOUT_MS: "50", MAX_RETRY_ATTEMPTS: "0" }
+    });
+    assert.equal(response.status, 504);
+    assert.equal(calls.length, 1);
+});
+
+test("a timed-out direct attempt falls back to the next backup", async t => {
+    const calls = mockUpstream(t, (url, init) =>
+        new URL(url).host === "timeout-backup.test" ? new Response("from backup") : hang(init)
+    );
+
+    const response = await callWorker(target, {
+        env: {
+            ATTEMPT_TIMEOUT_MS: "50",
+            BACKUP_CORS_SERVERS: JSON.stringify(["https://timeout-backup.test/?url={url}"])
+        }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "from backup");
+    assert.equal(calls.length, 2);
+});
+
+test("TOTAL_TIMEOUT_MS caps all attempts of a request together", async t => {
+    const calls = mockUpstream(t, (url, init) => hang(init));
+
+    const startedAt = Date.now();
+    const response = await callWorker(target, {
+        env: {
+            ATTEMPT_TIMEOUT_MS: "100",
+            TOTAL_TIMEOUT_MS: "150",
+            MAX_RETRY_ATTEMPTS: "10",
+            RETRY_POLICY: noBackoff
+        }
+    });
+    assert.equal(response.status, 504);
+    assert.ok(calls.length <= 2);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("x-cors-timeout shortens the budget of a single request", async t => {
+    mockUpstream(t, (url, init) => hang(init));
+
+    const startedAt = Date.now();
+    const response = await callWorker(target, {
+        env: { MAX_RETRY_ATTEMPTS: "0" },
+        headers: { "x-cors-timeout": "50" }
+    });
+    assert.equal(response.status, 504);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("an invalid x-cors-timeout is rejected before any upstream call", async t => {
+    const calls = mockUpstream(t, () => new Response("ok"));
+
+    for (const value of ["abc", "0", "-5"]) {
+        const response = await callWorker(target, { headers: { "x-cors-timeout": value } });
+        assert.equal(response.status, 400);
+    }
+    assert.equal(calls.length, 0);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { callWorker, mockUpstream } from "./support.js";
+
+const url = "https://proxy.test/?url=wss://realtime.example.com/feed";
+const upgradeHeaders = { Upgrade: "websocket", "Sec-WebSocket-Protocol": "v2.json" };
+
+test("x-cors-headers can't replace the upgrade handshake headers", async t => {
+    const calls = mockUpstream(t, () => new Response("no upgrade here"));
+
+    const response = await callWorker(url, {
+        headers: {
+            ...upgradeHeaders,
+            "x-cors-headers": JSON.stringify({
+                Upgrade: "h2c",
+                Connection: "close",
+                "Sec-WebSocket-Protocol": "admin",
+                "Sec-WebSocket-Key": "forged",
+                "X-Tenant": "a"
+            })
+        }
+    });
+
+    // Node.js has no WebSocketPair, so the bridge itself fails after the upstream call
+    assert.equal(response.status, 502);
+    const { url: upstreamUrl, headers } = calls[0];
+    assert.equal(upstreamUrl, "https://realtime.example.com/feed");
+    assert.equal(headers.get("Upgrade"), "websocket");
+    assert.equal(headers.get("Sec-WebSocket-Protocol"), "v2.json");
+    assert.equal(headers.get("Connection"), null);
+    assert.equal(headers.get("Sec-WebSocket-Key"), null);
+    assert.equal(headers.get("X-Tenant"), "a");
+});
+
+test("redirected upgrades are refused", async t => {
+    mockUpstream(
+        t,
+        () => new Response(null, { status: 302, headers: { Location: "wss://10.0.0.1/" } })
+    );
+
+    const response = await callWorker(url, { headers: upgradeHeaders });
+    assert.equal(response.status, 502);
+    assert.match(await response.text(), /redirects are not followed/);
+});
+
+test("an upstream that never answers the upgrade times out with 504", async t => {
+    mockUpstream(
+        t,
+        (upstreamUrl, init) =>
+            new Promise((resolve, reject) => {
+                init.signal.addEventListener("abort", () => reject(new Error("aborted")));
+            })
+    );
+
+    const response = await callWorker(url, {
+        headers: upgradeHeaders,
+        env: { ATTEMPT_TIMEOUT_MS: "50" }
+    });
+    assert.equal(response.status, 504);
+});